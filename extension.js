@@ -1,16 +1,82 @@
 const vscode = require("vscode");
-const {
-  LanguageClient,
-  TransportKind,
-  State,
-} = require("vscode-languageclient/node");
-const https = require("https");
+const { LanguageClient, State, Trace } = require("vscode-languageclient/node");
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const { findInPath } = require("./src/toolchain");
+const {
+  serverBinaryName,
+  getRelease,
+  listReleases,
+  disposeRelease,
+} = require("./src/releases");
+const { getNetworkSettings, downloadAsset } = require("./src/downloads");
+const { registerTaskProvider } = require("./src/tasks");
+const { registerDebugSupport } = require("./src/debug");
+const { registerTestController } = require("./src/testing");
+const { createStatusBar } = require("./src/statusBar");
+const { resolveStdlib, registerStdlibView } = require("./src/stdlib");
+const { createFallback } = require("./src/fallback");
+const { registerEmbeddedC, isInRawBlock } = require("./src/embeddedC");
+const { registerHealthCheck } = require("./src/healthCheck");
+const { createFormatter } = require("./src/formatting");
+const { registerCodeLens } = require("./src/codeLens");
+const { registerNewProjectCommand } = require("./src/scaffold");
+const { registerGeneratedCode } = require("./src/generatedCode");
+const {
+  serverSettingSections,
+  serverSettings,
+  configurationMiddleware,
+} = require("./src/serverSettings");
+const {
+  createCrashMonitor,
+  registerCrashReportCommand,
+} = require("./src/crashRecovery");
+const { createInspector } = require("./src/inspector");
+const { createTargetSelector, targetArgs, targetId } = require("./src/target");
+const { registerWorkspaceTrust } = require("./src/trust");
+const {
+  versionDirectory,
+  writeInstallInfo,
+  installedServers,
+  findInstalledServer,
+  activeServer,
+  setActiveServer,
+  migrateLegacyServer,
+  registerServerVersions,
+} = require("./src/serverVersions");
+const { registerToolchainInstall } = require("./src/toolchainInstall");
+const {
+  servedSchemes,
+  folderFor,
+  inMemoryDocumentMiddleware,
+} = require("./src/inMemoryDocuments");
 
-let client;
 let outputChannel;
+let traceOutputChannel;
+let statusBar;
+let axeFileWatcher;
+let pendingDownload;
+let fallback;
+let formatter;
+let inspector;
+let serverVersions;
+let toolchainInstall;
+
+/**
+ * Language clients, one per workspace folder, keyed by folder URI. Files
+ * opened in a window without folders share a client keyed by "".
+ */
+const clients = new Map();
+
+/**
+ * Settings that change how axels is launched, so the server is restarted
+ * when they change
+ */
+const restartSettings = [
+  "axe.lsp.serverPath",
+  "axe.lsp.stdlibPath",
+  "axe.lsp.version",
+];
 
 const lspMessageType = {
   1: "Error",
@@ -20,174 +86,150 @@ const lspMessageType = {
 };
 
 /**
- * Check if a command exists in PATH
+ * Release source and network settings used to download axels
  */
-function commandExists(command) {
-  try {
-    if (process.platform === "win32") {
-      execSync(`where ${command}`, { stdio: "ignore" });
-    } else {
-      execSync(`which ${command}`, { stdio: "ignore" });
-    }
-    return true;
-  } catch (e) {
-    return false;
-  }
+function getDownloadSettings() {
+  return {
+    source: vscode.workspace
+      .getConfiguration("axe.lsp")
+      .get("releaseSource", ""),
+    network: getNetworkSettings(),
+  };
 }
 
 /**
- * Download a file from a URL
+ * Download the axels release tagged `version` (or the latest) into a folder
+ * of its own in global storage, verify it and record what was installed.
+ * Resolves to the install, which is reused if that release is already
+ * installed.
  */
-function downloadFile(url, dest) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(dest);
-    https
-      .get(url, (response) => {
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          file.close();
-          fs.unlinkSync(dest);
-          return downloadFile(response.headers.location, dest)
-            .then(resolve)
-            .catch(reject);
-        }
+async function downloadServer(context, version, title) {
+  const { source, network } = getDownloadSettings();
 
-        if (response.statusCode !== 200) {
-          file.close();
-          fs.unlinkSync(dest);
-          reject(new Error(`Failed to download: ${response.statusCode}`));
-          return;
-        }
-
-        response.pipe(file);
-        file.on("finish", () => {
-          file.close();
-          resolve();
-        });
-      })
-      .on("error", (err) => {
-        file.close();
-        fs.unlinkSync(dest);
-        reject(err);
-      });
-  });
+  outputChannel.appendLine(
+    `Fetching axels release ${version} from ${source || "GitHub"}`
+  );
+  const release = await getRelease(version, source, network);
+  try {
+    return await installRelease(context, release, network, title);
+  } finally {
+    disposeRelease(release);
+  }
 }
 
 /**
- * Fetch latest release info from GitHub
+ * Download and verify the server binary of `release`, unless that release
+ * is already installed
  */
-function getLatestRelease() {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: "api.github.com",
-      path: "/repos/axelang/axels/releases/latest",
-      method: "GET",
-      headers: {
-        "User-Agent": "axe-vscode-extension",
-      },
-    };
+async function installRelease(context, release, network, title) {
+  outputChannel.appendLine(`Release: ${release.tag_name}`);
 
-    https
-      .get(options, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          if (res.statusCode === 200) {
-            resolve(JSON.parse(data));
-          } else {
-            reject(new Error(`GitHub API returned ${res.statusCode}`));
-          }
-        });
-      })
-      .on("error", reject);
+  const existing = findInstalledServer(context, release.tag_name);
+  if (existing) {
+    outputChannel.appendLine(
+      `axels ${release.tag_name} is already installed: ${existing.path}`
+    );
+    return existing;
+  }
+
+  const assetName = serverBinaryName();
+  const asset = release.assets.find((a) => a.name === assetName);
+  if (!asset) {
+    throw new Error(
+      `No binary found for platform: ${process.platform} (looking for ${assetName})`
+    );
+  }
+
+  const dir = versionDirectory(context, release.tag_name);
+  const binaryPath = path.join(dir, assetName);
+  fs.mkdirSync(dir, { recursive: true });
+
+  outputChannel.appendLine(`Downloading ${asset.name}...`);
+  const sha256 = await downloadAsset(release, asset, binaryPath, network, {
+    title,
+    executable: true,
   });
+  outputChannel.appendLine(`✓ SHA-256 verified: ${sha256}`);
+
+  writeInstallInfo(dir, {
+    version: release.tag_name,
+    sha256,
+    installedAt: new Date().toISOString(),
+  });
+  return findInstalledServer(context, release.tag_name);
 }
 
 /**
- * Download and setup the LSP server
+ * Download and setup the LSP server for a workspace folder
  */
-async function ensureLSPServer(context) {
+async function ensureLSPServer(context, folder) {
   const config = vscode.workspace.getConfiguration("axe.lsp");
-  let serverPath = config.get("serverPath", "");
+  const folderConfig = vscode.workspace.getConfiguration(
+    "axe.lsp",
+    folder && folder.uri
+  );
+  let serverPath = folderConfig.get("serverPath", "");
 
   if (serverPath) {
     outputChannel.appendLine(`Using configured serverPath: ${serverPath}`);
     return serverPath;
   }
 
-  var binaryName = process.platform === "win32";
-  if (process.platform === "win32") {
-    binaryName = "axels.exe";
-  } else {
-    binaryName = "axels";
-  }
+  const binaryName = serverBinaryName();
 
-  if (commandExists(binaryName)) {
-    outputChannel.appendLine(`Found ${binaryName} in PATH`);
-    return binaryName;
+  // The full path, so that Windows does not pick up an executable of the
+  // same name in the workspace folder the server is started in
+  const pathBinary = findInPath(binaryName);
+  if (pathBinary) {
+    outputChannel.appendLine(`Found ${binaryName} in PATH: ${pathBinary}`);
+    return pathBinary;
   }
 
   outputChannel.appendLine(
     "LSP not found in PATH. Checking for downloaded version..."
   );
 
-  const storagePath = context.globalStorageUri.fsPath;
-  if (!fs.existsSync(storagePath)) {
-    fs.mkdirSync(storagePath, { recursive: true });
-  }
+  const pinnedVersion = config.get("version", "latest");
+  const installed =
+    pinnedVersion === "latest"
+      ? activeServer(context)
+      : findInstalledServer(context, pinnedVersion);
 
-  const localBinaryPath = path.join(storagePath, binaryName);
-  if (fs.existsSync(localBinaryPath)) {
+  if (installed) {
     outputChannel.appendLine(
-      `Using previously downloaded LSP: ${localBinaryPath}`
+      `Using downloaded LSP ${installed.version}: ${installed.path}`
     );
     if (process.platform !== "win32") {
-      fs.chmodSync(localBinaryPath, 0o755);
+      fs.chmodSync(installed.path, 0o755);
     }
-    return localBinaryPath;
+    return installed.path;
   }
 
-  outputChannel.appendLine("Downloading latest LSP from GitHub...");
-  try {
-    const release = await getLatestRelease();
-    outputChannel.appendLine(`Latest release: ${release.tag_name}`);
-
-    let assetName;
-    if (process.platform === "win32") {
-      assetName = "axels.exe";
-    } else {
-      assetName = "axels";
-    }
-
-    const asset = release.assets.find((a) => a.name === assetName);
-    if (!asset) {
-      throw new Error(
-        `No binary found for platform: ${process.platform} (looking for ${assetName})`
-      );
-    }
-
-    outputChannel.appendLine(`Downloading ${asset.name}...`);
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: "Downloading Axe LSP",
-        cancellable: false,
-      },
-      async (progress) => {
-        progress.report({ message: "Downloading..." });
-        await downloadFile(asset.browser_download_url, localBinaryPath);
-        progress.report({ message: "Download complete." });
-      }
+  if (pinnedVersion !== "latest") {
+    outputChannel.appendLine(
+      `LSP ${pinnedVersion} is pinned but not downloaded yet.`
     );
+  }
 
-    if (process.platform !== "win32") {
-      fs.chmodSync(localBinaryPath, 0o755);
+  try {
+    // Folders starting together share one download.
+    if (!pendingDownload) {
+      pendingDownload = downloadServer(
+        context,
+        pinnedVersion,
+        "Downloading Axe LSP"
+      ).finally(() => (pendingDownload = undefined));
+    }
+    const downloaded = await pendingDownload;
+    if (pinnedVersion === "latest") {
+      await setActiveServer(context, downloaded.version);
     }
 
     outputChannel.appendLine(
-      `✓ LSP downloaded successfully to: ${localBinaryPath}`
+      `✓ LSP ${downloaded.version} downloaded successfully to: ${downloaded.path}`
     );
     vscode.window.showInformationMessage("Axe LSP downloaded successfully.");
-    return localBinaryPath;
+    return downloaded.path;
   } catch (err) {
     outputChannel.appendLine(`✗ Failed to download LSP: ${err.message}`);
     vscode.window.showErrorMessage(
@@ -197,93 +239,284 @@ async function ensureLSPServer(context) {
   }
 }
 
-async function activate(context) {
-  outputChannel = vscode.window.createOutputChannel("Axe LSP");
-  outputChannel.appendLine("Activating Axe LSP extension...");
-  console.log("[axe-ext] Activating Axe LSP extension");
+/**
+ * Key of the client that serves documents under `uri`
+ */
+function clientKey(uri) {
+  const folder = folderFor(uri);
+  return folder ? folder.uri.toString() : "";
+}
 
-  let serverPath;
+/**
+ * The client entry serving `uri`, if one was started
+ */
+function clientFor(uri) {
+  return clients.get(clientKey(uri));
+}
+
+/**
+ * Key of the client entry in `clients`
+ */
+function entryKey(entry) {
+  return entry.folder ? entry.folder.uri.toString() : "";
+}
+
+/**
+ * Name of the workspace folder a client serves, for logs and pickers
+ */
+function folderLabel(entry) {
+  return entry.folder ? entry.folder.name : "(no folder)";
+}
+
+/**
+ * Stop a client on purpose, so the status bar does not report a crash
+ */
+async function stopClient(entry) {
+  entry.expectedStop = true;
   try {
-    serverPath = await ensureLSPServer(context);
-  } catch (err) {
-    outputChannel.appendLine(`Failed to obtain LSP server: ${err}`);
-    vscode.window.showErrorMessage("Axe LSP: Failed to obtain language server");
-    return;
+    await entry.client.stop();
+  } finally {
+    entry.expectedStop = false;
+    entry.crashMonitor.killServer();
   }
+}
 
-  const config = vscode.workspace.getConfiguration("axe.lsp");
-  let stdlibPath = config.get("stdlibPath", "");
+/**
+ * Version reported by a running server, or the one we downloaded
+ */
+function serverVersion(context, entry) {
+  const serverInfo =
+    entry.client && entry.client.initializeResult
+      ? entry.client.initializeResult.serverInfo
+      : undefined;
+  if (serverInfo && serverInfo.version) {
+    return serverInfo.version;
+  }
+  const installed = downloadedServerAt(context, entry.serverPath);
+  return installed ? installed.version : undefined;
+}
+
+/**
+ * The downloaded axels at `serverPath`, if it is one
+ */
+function downloadedServerAt(context, serverPath) {
+  return installedServers(context).find((server) => server.path === serverPath);
+}
 
-  let serverArgs = [];
-  if (stdlibPath) {
-    serverArgs.push("--stdlib", stdlibPath);
-    outputChannel.appendLine(`Using stdlib path: ${stdlibPath}`);
-    console.log(`[axe-ext] configured stdlibPath=${stdlibPath}`);
+/**
+ * Command line arguments for axels, from the settings of the entry's folder.
+ * Also records which stdlib the server was pointed at.
+ */
+function buildServerArgs(entry) {
+  entry.stdlib = resolveStdlib(entry.folder, entry.serverPath);
+
+  const serverArgs = [];
+  if (entry.stdlib) {
+    serverArgs.push("--stdlib", entry.stdlib.path);
+    outputChannel.appendLine(
+      `Using stdlib path: ${entry.stdlib.path} (${entry.stdlib.source})`
+    );
+  } else {
+    outputChannel.appendLine("No Axe standard library found.");
   }
+  serverArgs.push(...targetArgs());
+  return serverArgs;
+}
 
-  const serverOptions = {
-    run: {
-      command: serverPath,
-      args: serverArgs,
-      transport: TransportKind.stdio,
-      options: {
-        env: { ...process.env, AXELS_DEBUG: "1" },
-      },
-    },
-    debug: {
-      command: serverPath,
-      args: serverArgs,
-      transport: TransportKind.stdio,
-      options: {
+/**
+ * Apply the `axe.lsp.trace` setting to a client
+ */
+function applyTrace(entry) {
+  const trace = vscode.workspace
+    .getConfiguration("axe.lsp")
+    .get("trace", "off");
+  return entry.client.setTrace(Trace.fromString(trace));
+}
+
+/**
+ * Show the state of the client serving the active editor
+ */
+function refreshStatusBar(context) {
+  const editor = vscode.window.activeTextEditor;
+  const entry = editor ? clientFor(editor.document.uri) : undefined;
+  if (entry) {
+    statusBar.update(
+      entry.status.state,
+      serverVersion(context, entry) || "",
+      entry.status.detail
+    );
+  }
+}
+
+/**
+ * Record a client's state and update the status bar if it is showing it
+ */
+function setStatus(context, entry, state, detail) {
+  entry.status = { state, detail };
+  refreshStatusBar(context);
+}
+
+/**
+ * The documents a folder's client serves, including diff views and virtual
+ * file systems. Without a folder the client serves untitled documents, and
+ * every served document while no folder is open.
+ */
+function documentSelectorFor(folder) {
+  if (folder) {
+    return servedSchemes.map((scheme) => ({
+      scheme,
+      language: "axe",
+      pattern: `${folder.uri.fsPath}/**/*`,
+    }));
+  }
+  return (vscode.workspace.workspaceFolders || []).length > 0
+    ? [{ scheme: "untitled", language: "axe" }]
+    : [...servedSchemes, "untitled"].map((scheme) => ({
+        scheme,
+        language: "axe",
+      }));
+}
+
+/**
+ * Create and start the language client for a workspace folder, or for files
+ * outside any folder when `folder` is undefined
+ */
+async function startClient(context, folder) {
+  const key = folder ? folder.uri.toString() : "";
+  if (clients.has(key)) {
+    return clients.get(key);
+  }
+
+  const entry = {
+    folder,
+    client: undefined,
+    crashMonitor: undefined,
+    serverPath: undefined,
+    serverArgs: [],
+    stdlib: undefined,
+    expectedStop: false,
+    status: { state: "Starting" },
+  };
+  clients.set(key, entry);
+  formatter.update(key, documentSelectorFor(folder));
+  const label = folderLabel(entry);
+  outputChannel.appendLine(`Starting Axe LSP for ${label}...`);
+  refreshStatusBar(context);
+
+  try {
+    entry.serverPath = await ensureLSPServer(context, folder);
+  } catch (err) {
+    serverNotObtained(context, entry, err);
+    return entry;
+  }
+
+  entry.serverArgs = buildServerArgs(entry);
+
+  entry.crashMonitor = createCrashMonitor(
+    context,
+    outputChannel,
+    () => entry.client.start(),
+    () => [
+      `Workspace Folder: ${label}`,
+      `Server Path: ${entry.serverPath}`,
+      `Server Version: ${serverVersion(context, entry) || "unknown"}`,
+    ],
+    () => fallback.enable(entryKey(entry), "axels kept crashing")
+  );
+
+  // The server path and arguments are read at spawn time, so a restart after
+  // a settings change picks up the new values. The client talks to the
+  // server through the inspector, so it does not see the process and its
+  // stderr is forwarded here.
+  const serverOptions = async () => {
+    const child = await entry.crashMonitor.spawnServer(
+      entry.serverPath,
+      entry.serverArgs,
+      {
+        cwd:
+          folder && folder.uri.scheme === "file"
+            ? folder.uri.fsPath
+            : undefined,
         env: { ...process.env, AXELS_DEBUG: "1" },
-      },
-    },
+      }
+    );
+    child.stderr.on("data", (data) => outputChannel.append(data.toString()));
+    return inspector.transports(folder, child);
   };
 
   const clientOptions = {
-    documentSelector: [{ scheme: "file", language: "axe" }],
+    documentSelector: documentSelectorFor(folder),
+    workspaceFolder: folder,
+    initializationOptions: () => ({
+      settings: serverSettings(folder && folder.uri),
+    }),
     synchronize: {
-      fileEvents: vscode.workspace.createFileSystemWatcher("**/*.{axe,axec}"),
+      fileEvents: axeFileWatcher,
+      configurationSection: serverSettingSections,
     },
     outputChannel: outputChannel,
-    traceOutputChannel: outputChannel,
+    traceOutputChannel,
+    errorHandler: entry.crashMonitor.errorHandler,
     middleware: {
-      provideSignatureHelp: (document, position, context, token, next) => {
-        outputChannel.appendLine(
-          `[DEBUG] Signature help requested at ${position.line}:${position.character}`
-        );
-        console.log(
-          `[axe-ext] Signature help requested at ${position.line}:${position.character}`
-        );
-        return next(document, position, context, token);
+      workspace: {
+        configuration: configurationMiddleware(folder),
       },
+      ...inMemoryDocumentMiddleware(folder, () => client, outputChannel),
+      // C code in raw blocks is served by the C language support instead
+      provideCompletionItem: (document, position, context, token, next) =>
+        isInRawBlock(document, position)
+          ? undefined
+          : next(document, position, context, token),
+      provideHover: (document, position, token, next) =>
+        isInRawBlock(document, position)
+          ? undefined
+          : next(document, position, token),
     },
   };
 
-  client = new LanguageClient(
+  const client = new LanguageClient(
     "axeLSP",
-    "Axe Language Server",
+    folder ? `Axe Language Server (${folder.name})` : "Axe Language Server",
     serverOptions,
     clientOptions
   );
+  entry.client = client;
 
   // Register state change handler
   client.onDidChangeState((event) => {
-    const stateNames = {
-      1: "Stopped",
-      2: "Starting",
-      3: "Running",
-    };
-    const oldState = stateNames[event.oldState] || event.oldState;
-    const newState = stateNames[event.newState] || event.newState;
+    const oldState = State[event.oldState] || event.oldState;
+    const newState = State[event.newState] || event.newState;
     outputChannel.appendLine(
-      `Client state changed: ${oldState} -> ${newState}`
+      `[${label}] Client state changed: ${oldState} -> ${newState}`
     );
-    console.log(`[axe-ext] Client state changed: ${oldState} -> ${newState}`);
 
     if (event.newState === State.Running) {
-      outputChannel.appendLine("✓ Language client is now running!");
-      console.log("[axe-ext] Language client is now running");
+      outputChannel.appendLine(
+        `✓ Language client for ${label} is now running!`
+      );
+      applyTrace(entry).catch((err) =>
+        outputChannel.appendLine(`Failed to apply trace setting: ${err}`)
+      );
+      setStatus(context, entry, "Running");
+      fallback.disable(key);
+      toolchainInstall.checkVersions(folder, serverVersion(context, entry));
+      formatter.update(
+        key,
+        documentSelectorFor(folder),
+        client.initializeResult && client.initializeResult.capabilities
+      );
+    } else if (event.newState === State.Starting) {
+      setStatus(context, entry, "Starting");
+    } else if (entry.expectedStop) {
+      setStatus(context, entry, "Stopped");
+    } else {
+      setStatus(context, entry, "Crashed", "The server stopped unexpectedly");
+      serverVersions.offerRollback(entry.serverPath, "crashed");
+    }
+
+    // Without a server, formatting falls back to the formatter CLI
+    if (event.newState === State.Stopped && clients.get(key) === entry) {
+      formatter.update(key, documentSelectorFor(folder));
     }
   });
 
@@ -292,7 +525,6 @@ async function activate(context) {
     try {
       const kind = lspMessageType[params.type] || String(params.type);
       outputChannel.appendLine(`[LSP] ${kind}: ${params.message}`);
-      console.log("[axe-ext] server logMessage", params);
     } catch (e) {
       outputChannel.appendLine("Error handling window/logMessage: " + e);
     }
@@ -314,415 +546,442 @@ async function activate(context) {
     }
   });
 
-  // Generic notification logger
-  client.onNotification((method, params) => {
-    try {
-      if (
-        !method.startsWith("window/") &&
-        !method.startsWith("$/") &&
-        method !== "textDocument/publishDiagnostics"
-      ) {
-        outputChannel.appendLine(`[LSP] Notification: ${method}`);
-        if (params) {
-          outputChannel.appendLine(
-            `  Params: ${JSON.stringify(params, null, 2)}`
-          );
-        }
-      }
-    } catch (e) {
-      outputChannel.appendLine("Error logging notification: " + e);
-    }
-  });
-
   outputChannel.appendLine("Notification handlers registered.");
 
-  const startPromise = client.start();
+  try {
+    await client.start();
+    outputChannel.appendLine(
+      `✓ Language client for ${label} started and ready!`
+    );
+    outputChannel.appendLine(
+      "Try opening a .axe file and pressing Ctrl+Space for completions."
+    );
+  } catch (err) {
+    serverNotStarted(context, entry, err);
+  }
+  return entry;
+}
 
-  startPromise
-    .then(() => {
-      outputChannel.appendLine("✓ Language client started and ready!");
-      outputChannel.appendLine(
-        "Try opening a .axe file and pressing Ctrl+Space for completions."
-      );
-      console.log("[axe-ext] Language client started successfully");
-    })
-    .catch((err) => {
-      outputChannel.appendLine(`✗ Language client failed to start: ${err}`);
-      console.error("[axe-ext] Language client failed to start:", err);
-      vscode.window.showErrorMessage(
-        'Axe LSP failed to start — check the "Axe LSP" output channel.'
-      );
-      outputChannel.show(true);
-    });
+/**
+ * Serve a client's folder without a server, as no axels could be found or
+ * downloaded for it
+ */
+function serverNotObtained(context, entry, err) {
+  outputChannel.appendLine(`Failed to obtain LSP server: ${err}`);
+  setStatus(
+    context,
+    entry,
+    "Limited",
+    `Failed to obtain language server: ${err.message}`
+  );
+  fallback.enable(entryKey(entry), `failed to obtain axels: ${err.message}`);
+}
 
-  // Add the disposable to subscriptions
-  context.subscriptions.push({
-    dispose: () => {
-      if (client) {
-        return client.stop();
-      }
-    },
-  });
+/**
+ * Serve a client's folder without a server after its server failed to
+ * start, and offer a roll back if an update brought that server
+ */
+function serverNotStarted(context, entry, err) {
+  outputChannel.appendLine(`✗ Language client failed to start: ${err}`);
+  setStatus(
+    context,
+    entry,
+    "Limited",
+    `The language server failed to start: ${err.message || err}`
+  );
+  fallback.enable(entryKey(entry), "axels failed to start");
+  serverVersions.offerRollback(entry.serverPath, "failed to start");
+}
 
-  outputChannel.appendLine("Axe Language Server activation completed.");
-  console.log("[axe-ext] activation completed");
+/**
+ * Start the client for the folder holding `document`, if it is an Axe
+ * document and no client serves it yet. When folders are open, documents
+ * outside all of them other than untitled ones are left to syntax
+ * highlighting, since a catch-all client would also claim the files inside
+ * the folders.
+ */
+function startClientForDocument(context, document) {
+  const scheme = document.uri.scheme;
+  if (
+    document.languageId !== "axe" ||
+    (scheme !== "untitled" && !servedSchemes.includes(scheme))
+  ) {
+    return;
+  }
+  const folder = folderFor(document.uri);
+  if (
+    !folder &&
+    scheme !== "untitled" &&
+    (vscode.workspace.workspaceFolders || []).length > 0
+  ) {
+    return;
+  }
+  startClient(context, folder).catch((err) =>
+    outputChannel.appendLine(`✗ Failed to start language client: ${err}`)
+  );
+}
 
-  // Debug command
-  const showDebug = vscode.commands.registerCommand(
-    "axe.lsp.showDebugInfo",
-    () => {
-      const state = client ? client.state : "no-client";
-      const stateNames = {
-        1: "Stopped",
-        2: "Starting",
-        3: "Running",
-      };
-      const stateName = stateNames[state] || state;
+/**
+ * Stop a client for good and forget it
+ */
+async function disposeClient(entry) {
+  const key = entryKey(entry);
+  clients.delete(key);
+  fallback.disable(key);
+  formatter.remove(key);
+  if (entry.client) {
+    await stopClient(entry);
+    entry.crashMonitor.dispose();
+  }
+}
 
-      const msg = `Axe LSP Debug Info
-==================
-Server Path: ${serverPath}
-Client State: ${stateName} (${state})
-Platform: ${process.platform}
-Node Version: ${process.version}
+/**
+ * Stop a client if it is running, re-read its settings and start it again
+ */
+async function restartClient(context, entry) {
+  if (!entry.client) {
+    await disposeClient(entry);
+    return startClient(context, entry.folder);
+  }
 
-To see detailed LSP communication, check this output channel.
-To restart the server, run command: "Axe: Restart Language Server"`;
+  entry.crashMonitor.reset();
+  try {
+    await stopClient(entry);
+    outputChannel.appendLine(`[${folderLabel(entry)}] Client stopped.`);
+  } catch (err) {
+    outputChannel.appendLine(`✗ Stop failed: ${err}`);
+    if (entry.client.state !== State.Stopped) {
+      throw new Error(`the server could not be stopped (${err})`);
+    }
+  }
 
-      outputChannel.appendLine("\n" + msg);
-      vscode.window.showInformationMessage(
-        "Axe LSP: Debug info written to output channel"
+  try {
+    entry.serverPath = await ensureLSPServer(context, entry.folder);
+  } catch (err) {
+    serverNotObtained(context, entry, err);
+    throw err;
+  }
+  entry.serverArgs = buildServerArgs(entry);
+  try {
+    await entry.client.start();
+  } catch (err) {
+    serverNotStarted(context, entry, err);
+    throw err;
+  }
+  return entry;
+}
+
+/**
+ * Restart every client, e.g. after the server binary changed
+ */
+async function restartAllClients(context) {
+  for (const entry of [...clients.values()]) {
+    try {
+      await restartClient(context, entry);
+    } catch (err) {
+      outputChannel.appendLine(
+        `✗ Restart for ${folderLabel(entry)} failed: ${err}`
       );
-      outputChannel.show(true);
     }
-  );
+  }
+}
 
-  // Restart command
-  const restartServer = vscode.commands.registerCommand(
-    "axe.lsp.restart",
-    async () => {
-      outputChannel.appendLine("\n=== Restarting Axe LSP ===");
-      try {
-        if (client) {
-          await client.stop();
-          outputChannel.appendLine("Client stopped.");
-        }
-        await client.start();
-        outputChannel.appendLine("✓ Client restarted successfully.");
-        vscode.window.showInformationMessage("Axe LSP restarted successfully");
-      } catch (err) {
-        outputChannel.appendLine(`✗ Restart failed: ${err}`);
-        vscode.window.showErrorMessage(`Failed to restart Axe LSP: ${err}`);
-      }
-    }
+/**
+ * Ask which clients a command should act on: the only one, or a chosen
+ * folder's, or all of them
+ */
+async function pickClients(placeHolder) {
+  const entries = [...clients.values()];
+  if (entries.length <= 1) {
+    return entries;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    [
+      { label: "$(folder-library) All folders", entries },
+      ...entries.map((entry) => ({
+        label: folderLabel(entry),
+        description: entry.folder ? entry.folder.uri.fsPath : undefined,
+        entries: [entry],
+      })),
+    ],
+    { placeHolder }
   );
+  return picked ? picked.entries : [];
+}
 
-  // Test command to manually trigger completion
-  const testCompletion = vscode.commands.registerCommand(
-    "axe.lsp.testCompletion",
-    async () => {
-      const editor = vscode.window.activeTextEditor;
-      if (!editor) {
-        vscode.window.showErrorMessage("No active editor");
-        return;
-      }
+/**
+ * Stop every running client, e.g. before replacing the server binary
+ */
+function stopAllClients() {
+  return Promise.all(
+    [...clients.values()]
+      .filter((entry) => entry.client)
+      .map((entry) => {
+        entry.crashMonitor.reset();
+        return stopClient(entry);
+      })
+  );
+}
 
-      outputChannel.appendLine("\n=== Testing Completion ===");
-      outputChannel.appendLine(
-        `Document URI: ${editor.document.uri.toString()}`
-      );
-      outputChannel.appendLine(
-        `Document Language ID: ${editor.document.languageId}`
-      );
-      outputChannel.appendLine(
-        `Position: line ${editor.selection.active.line}, char ${editor.selection.active.character}`
-      );
-      outputChannel.appendLine(
-        `Client State: ${client ? client.state : "no-client"}`
-      );
-      outputChannel.appendLine(
-        `File extension: ${editor.document.fileName.split(".").pop()}`
-      );
+async function activate(context) {
+  outputChannel = vscode.window.createOutputChannel("Axe LSP");
+  traceOutputChannel = vscode.window.createOutputChannel("Axe LSP Trace");
+  outputChannel.appendLine("Activating Axe LSP extension...");
 
-      if (editor.document.languageId !== "axe") {
-        outputChannel.appendLine(
-          `WARNING: Document language is "${editor.document.languageId}", not "axe"`
-        );
+  axeFileWatcher = vscode.workspace.createFileSystemWatcher("**/*.{axe,axec}");
+  context.subscriptions.push(axeFileWatcher);
+
+  registerTaskProvider(context, outputChannel);
+  registerDebugSupport(context, outputChannel);
+  registerTestController(context, axeFileWatcher, outputChannel);
+  registerCodeLens(context);
+  registerCrashReportCommand(context);
+  fallback = createFallback(context, outputChannel, axeFileWatcher, clientKey);
+  registerEmbeddedC(context);
+  formatter = createFormatter(context, outputChannel);
+  inspector = createInspector(context, outputChannel);
+  await migrateLegacyServer(context, outputChannel);
+  toolchainInstall = registerToolchainInstall(context, outputChannel);
+  serverVersions = registerServerVersions(context, outputChannel, {
+    // Async, so that unreadable settings such as a missing CA file reject
+    // rather than throw before the version picker can report them
+    listReleases: async () => {
+      const { source, network } = getDownloadSettings();
+      return listReleases(source, network);
+    },
+    install: (version) =>
+      downloadServer(context, version, `Downloading Axe LSP ${version}`),
+    restart: () => restartAllClients(context),
+    serversInUse: () =>
+      [...clients.values()].map((entry) => entry.serverPath).filter(Boolean),
+    overridden: () =>
+      Boolean(
+        vscode.workspace.getConfiguration("axe.lsp").get("serverPath", "") ||
+        findInPath(serverBinaryName())
+      ),
+  });
+  // The server analyses for the target it was started with
+  let targetRestart = Promise.resolve();
+  createTargetSelector(context, (target) => {
+    targetRestart = targetRestart.then(async () => {
+      for (const entry of [...clients.values()]) {
         outputChannel.appendLine(
-          'Click the language indicator in the bottom-right and select "Axe"'
-        );
-        vscode.window.showWarningMessage(
-          "This file is not recognized as Axe language. Click the language selector in the bottom-right corner."
+          `\n=== Target changed to ${targetId(target)}; restarting Axe LSP for ${folderLabel(entry)} ===`
         );
+        try {
+          await restartClient(context, entry);
+        } catch (err) {
+          outputChannel.appendLine(
+            `✗ Restart after target change failed: ${err}`
+          );
+          vscode.window.showErrorMessage(
+            `Failed to restart Axe LSP for the new target: ${err.message || err}`
+          );
+        }
       }
-
+    });
+  });
+  // Workspace values of serverPath and stdlibPath only apply once trusted
+  registerWorkspaceTrust(context, outputChannel, async (applied) => {
+    if (!applied.some((setting) => restartSettings.includes(setting))) {
+      return;
+    }
+    for (const entry of [...clients.values()]) {
       try {
-        const position = editor.selection.active;
-        const completions = await vscode.commands.executeCommand(
-          "vscode.executeCompletionItemProvider",
-          editor.document.uri,
-          position
-        );
+        await restartClient(context, entry);
+      } catch (err) {
+        outputChannel.appendLine(`✗ Restart after trusting failed: ${err}`);
+      }
+    }
+  });
+  const healthCheck = registerHealthCheck(context, outputChannel, (uri) => {
+    const entry = uri ? clientFor(uri) : undefined;
+    const folder = uri ? vscode.workspace.getWorkspaceFolder(uri) : undefined;
+    return {
+      client: entry && entry.client,
+      state:
+        entry && entry.client
+          ? State[entry.client.state]
+          : (entry && entry.status.state) || "not started",
+      serverVersion: entry ? serverVersion(context, entry) : undefined,
+      stdlib:
+        entry && entry.stdlib
+          ? entry.stdlib
+          : resolveStdlib(folder, entry && entry.serverPath),
+    };
+  });
+  statusBar = createStatusBar(context, outputChannel);
+  // The stdlib for the active editor's folder, as the server would use it
+  const currentStdlib = () => {
+    const editor = vscode.window.activeTextEditor;
+    const folder = editor
+      ? vscode.workspace.getWorkspaceFolder(editor.document.uri)
+      : (vscode.workspace.workspaceFolders || [])[0];
+    const entry = clients.get(folder ? folder.uri.toString() : "");
+    return resolveStdlib(folder, entry && entry.serverPath);
+  };
+  registerStdlibView(context, currentStdlib);
+  registerNewProjectCommand(context, outputChannel, currentStdlib);
+  registerGeneratedCode(context, outputChannel, (uri) => {
+    const entry = clientFor(uri);
+    return entry && entry.client && entry.client.state === State.Running
+      ? entry.client
+      : undefined;
+  });
 
-        if (completions && completions.items) {
+  // One client per workspace folder, started when the folder's first Axe
+  // document is opened and stopped when the folder is removed.
+  vscode.workspace.textDocuments.forEach((document) =>
+    startClientForDocument(context, document)
+  );
+  context.subscriptions.push(
+    vscode.workspace.onDidOpenTextDocument((document) =>
+      startClientForDocument(context, document)
+    ),
+    vscode.workspace.onDidChangeWorkspaceFolders(async (event) => {
+      for (const folder of event.removed) {
+        const entry = clients.get(folder.uri.toString());
+        if (entry) {
           outputChannel.appendLine(
-            `✓ Got ${completions.items.length} completion items`
+            `Workspace folder removed; stopping Axe LSP for ${folder.name}`
+          );
+          await disposeClient(entry).catch((err) =>
+            outputChannel.appendLine(`✗ Failed to stop client: ${err}`)
           );
-          completions.items.slice(0, 10).forEach((item) => {
-            outputChannel.appendLine(`  - ${item.label} (kind: ${item.kind})`);
-          });
-        } else {
-          outputChannel.appendLine("✗ No completions returned");
         }
-      } catch (err) {
-        outputChannel.appendLine(`✗ Error: ${err}`);
       }
+      vscode.workspace.textDocuments.forEach((document) =>
+        startClientForDocument(context, document)
+      );
+    }),
+    vscode.window.onDidChangeActiveTextEditor(() => refreshStatusBar(context))
+  );
 
-      outputChannel.show(true);
+  // Apply setting changes without reloading the window
+  let settingsRestart = Promise.resolve();
+  const configWatcher = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (!event.affectsConfiguration("axe")) {
+      return;
     }
-  );
 
-  const testHover = vscode.commands.registerCommand(
-    "axe.lsp.testHover",
-    async () => {
-      const content = `/// This is a docstring\ndef some_function() { }\n\n/// Pub docstring for pub_fn\npub def pub_fn() { }\n\ndef main() {\n    some_function()\n    pub_fn()\n    // a comment with some_function inside comment\n    var s = "some_function() inside string"\n}`;
-      const doc = await vscode.workspace.openTextDocument({
-        language: "axe",
-        content,
-      });
-      const editor = await vscode.window.showTextDocument(doc);
+    for (const entry of clients.values()) {
+      const scope = entry.folder && entry.folder.uri;
+      if (entry.client && event.affectsConfiguration("axe.lsp.trace")) {
+        outputChannel.appendLine(
+          `[${folderLabel(entry)}] axe.lsp.trace changed; updating trace level.`
+        );
+        applyTrace(entry).catch((err) =>
+          outputChannel.appendLine(`Failed to apply trace setting: ${err}`)
+        );
+      }
 
-      outputChannel.appendLine("\n=== Testing Hover and Definition ===");
-      outputChannel.appendLine(`Document: ${editor.document.uri.toString()}`);
-      outputChannel.appendLine(
-        `Client State: ${client ? client.state : "no-client"}`
+      const changed = restartSettings.find((setting) =>
+        event.affectsConfiguration(setting, scope)
       );
+      if (!changed) {
+        continue;
+      }
 
-      const callPos = new vscode.Position(7, 6);
-      editor.selection = new vscode.Selection(callPos, callPos);
-
-      try {
-        const hovers = await vscode.commands.executeCommand(
-          "vscode.executeHoverProvider",
-          editor.document.uri,
-          callPos
+      settingsRestart = settingsRestart.then(async () => {
+        outputChannel.appendLine(
+          `\n=== ${changed} changed; restarting Axe LSP for ${folderLabel(entry)} ===`
         );
-
-        if (hovers && hovers.length > 0) {
-          outputChannel.appendLine(`✓ Got ${hovers.length} hover result(s)`);
-          const containsDoc = hovers.some(
-            (h) =>
-              h.contents &&
-              h.contents.some(
-                (c) =>
-                  (typeof c === "string" &&
-                    c.includes("This is a docstring")) ||
-                  (c.value &&
-                    c.value.includes &&
-                    c.value.includes("This is a docstring"))
-              )
-          );
-          if (containsDoc)
-            outputChannel.appendLine("✓ Hover contains docstring");
-          else
-            outputChannel.appendLine(
-              "✗ Hover does not contain expected docstring"
-            );
-        } else {
-          outputChannel.appendLine(
-            "✗ No hover information returned for callsite"
-          );
-        }
-
-        const defs = await vscode.commands.executeCommand(
-          "vscode.executeDefinitionProvider",
-          editor.document.uri,
-          callPos
+        vscode.window.showInformationMessage(
+          `Axe LSP: restarting because \`${changed}\` changed.`
         );
-
-        if (defs && defs.length > 0) {
-          outputChannel.appendLine(`✓ Got ${defs.length} definition result(s)`);
-          const defFound = defs.some((d) => {
-            const range = d.range || (d.location && d.location.range) || null;
-            const uri = d.uri || (d.location && d.location.uri) || "";
-            return (
-              uri &&
-              uri.toString() === editor.document.uri.toString() &&
-              (range.start.line === 1 ||
-                range.start.line === 0 ||
-                range.start.line === 1)
-            );
-          });
-          if (defFound)
-            outputChannel.appendLine(
-              "✓ Definition points to the expected function definition"
-            );
-          else
-            outputChannel.appendLine(
-              "✗ Definition did not point to expected location"
-            );
-        } else {
+        try {
+          await restartClient(context, entry);
           outputChannel.appendLine(
-            "✗ No definition information returned for callsite"
+            `✓ Restarted with server: ${entry.serverPath}`
           );
-        }
-
-        const pubCallPos = new vscode.Position(8, 6);
-        const commentPos = new vscode.Position(9, 10);
-        const pubHovers = await vscode.commands.executeCommand(
-          "vscode.executeHoverProvider",
-          editor.document.uri,
-          pubCallPos
-        );
-        if (pubHovers && pubHovers.length > 0) {
+        } catch (err) {
           outputChannel.appendLine(
-            `✓ Pub call hover returned ${pubHovers.length} result(s)`
+            `✗ Restart after settings change failed: ${err}`
           );
-          const pubContains = pubHovers.some(
-            (h) =>
-              h.contents &&
-              h.contents.some(
-                (c) =>
-                  (typeof c === "string" &&
-                    c.includes("Pub docstring for pub_fn")) ||
-                  (c.value &&
-                    c.value.includes &&
-                    c.value.includes("Pub docstring for pub_fn"))
-              )
+          vscode.window.showErrorMessage(
+            `Failed to restart Axe LSP after \`${changed}\` changed: ${err.message || err}`
           );
-          if (pubContains)
-            outputChannel.appendLine("✓ Pub call hover contains docstring");
-          else
-            outputChannel.appendLine(
-              "✗ Pub call hover did not contain expected docstring"
-            );
-        } else {
-          outputChannel.appendLine("✗ No hover returned for pub callsite");
         }
+      });
+    }
+  });
+  context.subscriptions.push(configWatcher);
 
-        const commentHovers = await vscode.commands.executeCommand(
-          "vscode.executeHoverProvider",
-          editor.document.uri,
-          commentPos
-        );
-        if (commentHovers && commentHovers.length > 0) {
-          outputChannel.appendLine(
-            `✗ Hover inside a comment returned ${commentHovers.length} result(s) (unexpected)`
-          );
-        } else {
-          outputChannel.appendLine(
-            "✓ Hover inside a comment returned no results (expected)"
-          );
-        }
+  // Add the disposable to subscriptions
+  context.subscriptions.push({
+    dispose: () => stopAllClients(),
+  });
 
-        const stringPos = new vscode.Position(10, 15);
-        const stringHovers = await vscode.commands.executeCommand(
-          "vscode.executeHoverProvider",
-          editor.document.uri,
-          stringPos
+  outputChannel.appendLine("Axe Language Server activation completed.");
+
+  // Debug command
+  const showDebug = vscode.commands.registerCommand(
+    "axe.lsp.showDebugInfo",
+    async () => {
+      const entries = await pickClients("Show debug info for which folder?");
+      const lspConfig = vscode.workspace.getConfiguration("axe.lsp");
+      const pinnedVersion = lspConfig.get("version", "latest");
+      const releaseSource = lspConfig.get("releaseSource", "") || "GitHub";
+
+      const sections = entries.map((entry) => {
+        const state = entry.client ? entry.client.state : "no-client";
+        const stateName = State[state] || state;
+        const managed = downloadedServerAt(context, entry.serverPath);
+        return `Workspace Folder: ${folderLabel(entry)}
+Server Path: ${entry.serverPath || "not available"}
+Server Arguments: ${entry.serverArgs.join(" ") || "(none)"}
+Stdlib: ${entry.stdlib ? `${entry.stdlib.path} (${entry.stdlib.source})` : "not found"}
+Server Version: ${serverVersion(context, entry) || "unknown"}
+Server SHA-256: ${(managed && managed.sha256) || "unknown (not downloaded by the extension)"}
+Client State: ${stateName} (${state})`;
+      });
+      if (sections.length === 0) {
+        sections.push(
+          "No language client running. Open an .axe file to start one."
         );
-        if (stringHovers && stringHovers.length > 0) {
-          outputChannel.appendLine(
-            `✓ Hover inside a string returned ${stringHovers.length} result(s)`
-          );
-          const strContains = stringHovers.some(
-            (h) =>
-              h.contents &&
-              h.contents.some(
-                (c) =>
-                  (typeof c === "string" &&
-                    c.includes("This is a docstring")) ||
-                  (c.value &&
-                    c.value.includes &&
-                    c.value.includes("This is a docstring"))
-              )
-          );
-          if (strContains)
-            outputChannel.appendLine(
-              "✓ Hover inside string contains docstring"
-            );
-          else
-            outputChannel.appendLine(
-              "✗ Hover inside string did not contain expected docstring"
-            );
-        } else {
-          outputChannel.appendLine(
-            "✗ Hover inside a string returned no results (unexpected)"
-          );
-        }
-      } catch (err) {
-        outputChannel.appendLine(`✗ Error: ${err}`);
       }
 
-      outputChannel.show(true);
-    }
-  );
+      const msg = `Axe LSP Debug Info
+==================
+${sections.join("\n\n")}
 
-  const testDocumentSymbols = vscode.commands.registerCommand(
-    "axe.lsp.testDocumentSymbols",
-    async () => {
-      const editor = vscode.window.activeTextEditor;
-      if (!editor) return vscode.window.showErrorMessage("No active editor");
+Pinned Version: ${pinnedVersion}
+Release Source: ${releaseSource}
+Platform: ${process.platform}
+Node Version: ${process.version}
 
-      outputChannel.appendLine("\n=== Testing Document Symbols ===");
-      try {
-        const symbols = await vscode.commands.executeCommand(
-          "vscode.executeDocumentSymbolProvider",
-          editor.document.uri
-        );
-        if (!symbols || symbols.length === 0) {
-          outputChannel.appendLine("✗ No document symbols returned");
-          vscode.window.showInformationMessage(
-            "Axe LSP: no document symbols returned (check output)"
-          );
-        } else {
-          outputChannel.appendLine(`✓ Got ${symbols.length} symbol(s)`);
-          symbols.slice(0, 50).forEach((s) => {
-            try {
-              outputChannel.appendLine(`  - ${s.name} (${s.kind})`);
-            } catch (e) {
-              outputChannel.appendLine(`  - [symbol] ${JSON.stringify(s)}`);
-            }
-          });
-        }
-      } catch (err) {
-        outputChannel.appendLine(
-          "✗ Error executing documentSymbolProvider: " + err
-        );
-      }
+To see detailed LSP communication, check this output channel.
+To restart the server, run command: "Axe: Restart Language Server"`;
+
+      outputChannel.appendLine("\n" + msg);
+      vscode.window.showInformationMessage(
+        "Axe LSP: Debug info written to output channel"
+      );
       outputChannel.show(true);
     }
   );
 
-  const testDiagnostics = vscode.commands.registerCommand(
-    "axe.lsp.testDiagnostics",
+  // Restart command
+  const restartServer = vscode.commands.registerCommand(
+    "axe.lsp.restart",
     async () => {
-      const editor = vscode.window.activeTextEditor;
-      if (!editor) return vscode.window.showErrorMessage("No active editor");
-
-      outputChannel.appendLine("\n=== Testing Diagnostics ===");
-      outputChannel.appendLine(
-        `Document URI: ${editor.document.uri.toString()}`
-      );
-      outputChannel.appendLine(
-        `Document Language: ${editor.document.languageId}`
-      );
-
-      const diagnostics = vscode.languages.getDiagnostics(editor.document.uri);
-      if (!diagnostics || diagnostics.length === 0) {
-        outputChannel.appendLine("✗ No diagnostics found for this file");
+      const entries = await pickClients("Restart the server for which folder?");
+      for (const entry of entries) {
         outputChannel.appendLine(
-          "  Tip: Try saving the file or making an edit to trigger diagnostics"
+          `\n=== Restarting Axe LSP for ${folderLabel(entry)} ===`
         );
-      } else {
-        outputChannel.appendLine(`✓ Got ${diagnostics.length} diagnostic(s)`);
-        diagnostics.forEach((d, i) => {
-          outputChannel.appendLine(
-            `  [${i}] Line ${d.range.start.line + 1}: ${d.message}`
+        try {
+          await restartClient(context, entry);
+          outputChannel.appendLine("✓ Client restarted successfully.");
+          vscode.window.showInformationMessage(
+            "Axe LSP restarted successfully"
           );
-        });
+        } catch (err) {
+          outputChannel.appendLine(`✗ Restart failed: ${err}`);
+          vscode.window.showErrorMessage(`Failed to restart Axe LSP: ${err}`);
+        }
       }
-      outputChannel.show(true);
     }
   );
 
@@ -731,101 +990,64 @@ To restart the server, run command: "Axe: Restart Language Server"`;
     async () => {
       outputChannel.appendLine("\n=== Updating Axe LSP ===");
 
-      const storagePath = context.globalStorageUri.fsPath;
-      const binaryName = process.platform === "win32" ? "axels.exe" : "axels";
-      const localBinaryPath = path.join(storagePath, binaryName);
-
-      if (fs.existsSync(localBinaryPath)) {
-        try {
-          fs.unlinkSync(localBinaryPath);
-          outputChannel.appendLine("Removed old LSP binary");
-        } catch (err) {
-          outputChannel.appendLine(
-            `Warning: Could not remove old binary: ${err.message}`
-          );
-        }
-      }
+      const version = vscode.workspace
+        .getConfiguration("axe.lsp")
+        .get("version", "latest");
+      const previous = activeServer(context);
 
+      // The new version goes into a folder of its own, so the servers keep
+      // running until it is downloaded and verified, and a failed update
+      // changes nothing.
+      let updated;
       try {
-        if (client) {
-          await client.stop();
-          outputChannel.appendLine("Stopped current LSP client");
-        }
-
-        outputChannel.appendLine("Downloading latest LSP from GitHub...");
-        const release = await getLatestRelease();
-        outputChannel.appendLine(`Latest release: ${release.tag_name}`);
-
-        let assetName;
-        if (process.platform === "win32") {
-          assetName = "axels.exe";
-        } else if (process.platform === "darwin") {
-          assetName = "axels";
-        } else {
-          assetName = "axels";
-        }
-
-        const asset = release.assets.find((a) => a.name === assetName);
-        if (!asset) {
-          throw new Error(`No binary found for platform: ${process.platform}`);
-        }
-
-        await vscode.window.withProgress(
-          {
-            location: vscode.ProgressLocation.Notification,
-            title: "Updating Axe LSP",
-            cancellable: false,
-          },
-          async (progress) => {
-            progress.report({ message: "Downloading..." });
-            await downloadFile(asset.browser_download_url, localBinaryPath);
-            progress.report({ message: "Download complete!" });
-          }
-        );
-
-        if (process.platform !== "win32") {
-          fs.chmodSync(localBinaryPath, 0o755);
-        }
-
-        outputChannel.appendLine(
-          `✓ LSP updated successfully to: ${localBinaryPath}`
-        );
-        vscode.window.showInformationMessage(
-          "Axe LSP updated! Restarting language server..."
-        );
-
-        await client.start();
-        outputChannel.appendLine(
-          "✓ Language server restarted with new version"
-        );
+        updated = await downloadServer(context, version, "Updating Axe LSP");
       } catch (err) {
         outputChannel.appendLine(`✗ Update failed: ${err.message}`);
         vscode.window.showErrorMessage(
           `Failed to update Axe LSP: ${err.message}`
         );
+        return;
       }
+
+      if (previous && previous.version === updated.version) {
+        outputChannel.appendLine(`✓ LSP ${updated.version} is up to date`);
+        vscode.window.showInformationMessage(
+          `Axe LSP ${updated.version} is already the latest version.`
+        );
+        return;
+      }
+
+      if (version === "latest") {
+        await setActiveServer(context, updated.version);
+      }
+      serverVersions.noteUpdate(previous, updated);
+      outputChannel.appendLine(
+        `✓ LSP updated successfully to ${updated.version}: ${updated.path}`
+      );
+      vscode.window.showInformationMessage(
+        "Axe LSP updated! Restarting language server..."
+      );
+      await restartAllClients(context);
     }
   );
 
-  context.subscriptions.push(
-    showDebug,
-    restartServer,
-    testCompletion,
-    testHover,
-    testDocumentSymbols,
-    testDiagnostics,
-    updateLSP
-  );
+  context.subscriptions.push(showDebug, restartServer, updateLSP);
+
+  // API for other extensions and the extension tests
+  return {
+    runHealthCheck: (uri) => healthCheck.run(uri),
+    formatHealthCheck: (report) => healthCheck.format(report),
+  };
 }
 
 function deactivate() {
-  if (!client) {
+  if (clients.size === 0) {
     return undefined;
   }
   if (outputChannel) {
     outputChannel.appendLine("Deactivating Axe LSP extension...");
   }
-  return client.stop();
+  return stopAllClients();
 }
 
 module.exports = {
@@ -0,0 +1,141 @@
+const vscode = require("vscode");
+const path = require("path");
+const { findDeclarations, findTestBlocks } = require("./syntax");
+const { runTaskForFile } = require("./tasks");
+
+const axeFiles = { language: "axe", scheme: "file" };
+
+/**
+ * Code lenses for running and debugging `def main` and running `test` blocks
+ */
+function createCodeLensProvider() {
+  const changeEmitter = new vscode.EventEmitter();
+
+  return {
+    onDidChangeCodeLenses: changeEmitter.event,
+
+    refresh() {
+      changeEmitter.fire();
+    },
+
+    provideCodeLenses(document) {
+      if (
+        !vscode.workspace
+          .getConfiguration("axe.codeLens", document.uri)
+          .get("enabled", true)
+      ) {
+        return [];
+      }
+
+      const text = document.getText();
+      const lenses = [];
+      const main = findDeclarations(text).find(
+        (declaration) =>
+          declaration.kind === "def" && declaration.name === "main"
+      );
+      if (main) {
+        const range = document.lineAt(
+          document.positionAt(main.start).line
+        ).range;
+        lenses.push(
+          new vscode.CodeLens(range, {
+            title: "$(play) Run",
+            command: "axe.runFile",
+            arguments: [document.uri],
+          }),
+          new vscode.CodeLens(range, {
+            title: "$(debug-alt) Debug",
+            command: "axe.debugFile",
+            arguments: [document.uri],
+          })
+        );
+      }
+
+      for (const test of findTestBlocks(text)) {
+        const range = document.lineAt(
+          document.positionAt(test.start).line
+        ).range;
+        lenses.push(
+          new vscode.CodeLens(range, {
+            title: "$(beaker) Run Test",
+            command: "axe.runTest",
+            arguments: [document.uri, test.name],
+          })
+        );
+      }
+      return lenses;
+    },
+  };
+}
+
+/**
+ * The Axe file a command acts on: the one it was given, or the active one
+ */
+function targetFile(uri) {
+  if (uri instanceof vscode.Uri) {
+    return uri;
+  }
+  const editor = vscode.window.activeTextEditor;
+  return editor && editor.document.languageId === "axe"
+    ? editor.document.uri
+    : undefined;
+}
+
+/**
+ * Register the run, debug and test code lenses and their commands
+ */
+function registerCodeLens(context) {
+  const provider = createCodeLensProvider();
+
+  context.subscriptions.push(
+    vscode.languages.registerCodeLensProvider(axeFiles, provider),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("axe.codeLens")) {
+        provider.refresh();
+      }
+    }),
+    vscode.commands.registerCommand("axe.runFile", async (uri) => {
+      const file = targetFile(uri);
+      if (!file) {
+        vscode.window.showInformationMessage("Axe: no Axe file to run.");
+        return;
+      }
+      await vscode.workspace.saveAll(false);
+      await runTaskForFile("run", file);
+    }),
+    vscode.commands.registerCommand("axe.debugFile", async (uri) => {
+      const file = targetFile(uri);
+      if (!file) {
+        vscode.window.showInformationMessage("Axe: no Axe file to debug.");
+        return;
+      }
+      await vscode.workspace.saveAll(false);
+      await vscode.debug.startDebugging(
+        vscode.workspace.getWorkspaceFolder(file),
+        {
+          type: "axe",
+          request: "launch",
+          name: `Debug ${path.basename(file.fsPath)}`,
+          program: file.fsPath,
+        }
+      );
+    }),
+    vscode.commands.registerCommand("axe.runTest", async (uri, name) => {
+      const file = targetFile(uri);
+      if (!file) {
+        return;
+      }
+      await vscode.workspace.saveAll(false);
+      await runTaskForFile(
+        "test",
+        file,
+        name ? ["--filter", name] : [],
+        name ? `test ${name}` : `test ${path.basename(file.fsPath)}`
+      );
+    })
+  );
+}
+
+module.exports = {
+  registerCodeLens,
+};
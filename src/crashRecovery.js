@@ -0,0 +1,260 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { ErrorAction, CloseAction } = require("vscode-languageclient/node");
+
+const maxStderrLength = 64 * 1024;
+const maxBackoffMs = 30 * 1000;
+const exitWaitMs = 1000;
+// Older crash reports are removed as new ones are written
+const maxReports = 20;
+
+let latestReport;
+
+/**
+ * Folder in global storage that holds crash reports
+ */
+function reportsDirectory(context) {
+  return path.join(context.globalStorageUri.fsPath, "crashes");
+}
+
+/**
+ * Remove all but the newest `maxReports` crash reports in `reportsDir`.
+ * Their names sort by the time they were written.
+ */
+function pruneReports(reportsDir) {
+  const reports = fs
+    .readdirSync(reportsDir)
+    .filter((name) => name.startsWith("axels-crash-"))
+    .sort();
+  for (const name of reports.slice(0, -maxReports)) {
+    fs.rmSync(path.join(reportsDir, name), { force: true });
+  }
+}
+
+/**
+ * Resolve once `child` has exited, or after `timeout` ms
+ */
+function waitForExit(child, timeout) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeout);
+    child.once("exit", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Watch the language server process: keep the tail of its stderr, restart it
+ * with exponential backoff when it crashes, give up after too many crashes in
+ * the configured window, and write a crash report for each crash.
+ *
+ * `restart` starts the client again; `describeServer` returns extra lines
+ * for crash reports; `giveUp` is called when the server will not be
+ * restarted again.
+ */
+function createCrashMonitor(
+  context,
+  outputChannel,
+  restart,
+  describeServer,
+  giveUp
+) {
+  const reportsDir = reportsDirectory(context);
+  let serverProcess;
+  let serverCommand = "";
+  let stderrTail = "";
+  let crashTimes = [];
+  let restartTimer;
+
+  function writeCrashReport() {
+    fs.mkdirSync(reportsDir, { recursive: true });
+    const time = new Date();
+    const reportPath = path.join(
+      reportsDir,
+      `axels-crash-${time.toISOString().replace(/[:.]/g, "-")}.log`
+    );
+
+    const lines = [
+      "Axe Language Server Crash Report",
+      "================================",
+      `Time: ${time.toISOString()}`,
+      `Command: ${serverCommand}`,
+      `Exit Code: ${serverProcess ? serverProcess.exitCode : "unknown"}`,
+      `Signal: ${(serverProcess && serverProcess.signalCode) || "none"}`,
+      `Extension Version: ${context.extension.packageJSON.version}`,
+      `Platform: ${process.platform} ${process.arch}`,
+      `VS Code Version: ${vscode.version}`,
+      ...describeServer(),
+      "",
+      "Last stderr output:",
+      "-------------------",
+      stderrTail || "(none)",
+    ];
+    fs.writeFileSync(reportPath, lines.join("\n"));
+    latestReport = reportPath;
+    pruneReports(reportsDir);
+    return reportPath;
+  }
+
+  async function offerCrashReport(message) {
+    const actions = ["Open Crash Report", "Restart"];
+    const choice = await vscode.window.showErrorMessage(message, ...actions);
+    if (choice === "Open Crash Report") {
+      vscode.commands.executeCommand("axe.lsp.openCrashReport");
+    } else if (choice === "Restart") {
+      vscode.commands.executeCommand("axe.lsp.restart");
+    }
+  }
+
+  const errorHandler = {
+    error(error, message, count) {
+      outputChannel.appendLine(`✗ Connection error: ${error}`);
+      return {
+        action:
+          count && count <= 3 ? ErrorAction.Continue : ErrorAction.Shutdown,
+      };
+    },
+
+    async closed() {
+      if (serverProcess) {
+        await waitForExit(serverProcess, exitWaitMs);
+      }
+
+      const config = vscode.workspace.getConfiguration("axe.lsp");
+      const maxRestarts = config.get("maxRestartCount", 5);
+      const windowMs = config.get("restartWindowSeconds", 180) * 1000;
+
+      const now = Date.now();
+      crashTimes = crashTimes.filter((time) => now - time < windowMs);
+      crashTimes.push(now);
+
+      let reportPath;
+      try {
+        reportPath = writeCrashReport();
+        outputChannel.appendLine(`✗ Language server crashed: ${reportPath}`);
+      } catch (err) {
+        outputChannel.appendLine(`Could not write crash report: ${err}`);
+      }
+
+      if (crashTimes.length > maxRestarts) {
+        outputChannel.appendLine(
+          `✗ ${crashTimes.length} crashes within ${windowMs / 1000}s; not restarting.`
+        );
+        giveUp();
+        offerCrashReport(
+          `Axe LSP crashed ${crashTimes.length} times in ${Math.round(windowMs / 60000)} minutes and will not be restarted.`
+        );
+        return { action: CloseAction.DoNotRestart, handled: true };
+      }
+
+      const delay = Math.min(1000 * 2 ** (crashTimes.length - 1), maxBackoffMs);
+      outputChannel.appendLine(
+        `Restarting language server in ${delay / 1000}s (crash ${crashTimes.length} of ${maxRestarts} allowed)...`
+      );
+      clearTimeout(restartTimer);
+      restartTimer = setTimeout(() => {
+        restartTimer = undefined;
+        restart().catch((err) =>
+          outputChannel.appendLine(`✗ Automatic restart failed: ${err}`)
+        );
+      }, delay);
+
+      if (reportPath) {
+        vscode.window
+          .showWarningMessage(
+            `Axe LSP crashed and will restart in ${delay / 1000}s.`,
+            "Open Crash Report"
+          )
+          .then((choice) => {
+            if (choice) {
+              vscode.commands.executeCommand("axe.lsp.openCrashReport");
+            }
+          });
+      }
+      return { action: CloseAction.DoNotRestart, handled: true };
+    },
+  };
+
+  return {
+    errorHandler,
+
+    /**
+     * Spawn the server process; used as the client's server options
+     */
+    spawnServer(command, args, options) {
+      serverCommand = [command, ...args].join(" ");
+      stderrTail = "";
+      const child = spawn(command, args, options);
+      child.stderr.on("data", (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-maxStderrLength);
+      });
+      serverProcess = child;
+      return new Promise((resolve, reject) => {
+        child.once("error", reject);
+        child.once("spawn", () => resolve(child));
+      });
+    },
+
+    /**
+     * Kill the server process if it outlived a stop of the client
+     */
+    killServer() {
+      if (
+        serverProcess &&
+        serverProcess.exitCode === null &&
+        serverProcess.signalCode === null
+      ) {
+        serverProcess.kill();
+      }
+    },
+
+    /**
+     * Forget past crashes and any scheduled automatic restart, e.g. after a
+     * manual restart
+     */
+    reset() {
+      clearTimeout(restartTimer);
+      restartTimer = undefined;
+      crashTimes = [];
+    },
+
+    dispose() {
+      clearTimeout(restartTimer);
+    },
+  };
+}
+
+/**
+ * Register the command that opens the most recent crash report
+ */
+function registerCrashReportCommand(context) {
+  const reportsDir = reportsDirectory(context);
+  context.subscriptions.push(
+    vscode.commands.registerCommand("axe.lsp.openCrashReport", async () => {
+      let reportPath = latestReport;
+      if (!reportPath && fs.existsSync(reportsDir)) {
+        const reports = fs.readdirSync(reportsDir).sort();
+        if (reports.length > 0) {
+          reportPath = path.join(reportsDir, reports[reports.length - 1]);
+        }
+      }
+      if (!reportPath) {
+        vscode.window.showInformationMessage("Axe LSP: no crash reports.");
+        return;
+      }
+      const doc = await vscode.workspace.openTextDocument(reportPath);
+      await vscode.window.showTextDocument(doc);
+    })
+  );
+}
+
+module.exports = {
+  createCrashMonitor,
+  registerCrashReportCommand,
+};
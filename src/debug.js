@@ -0,0 +1,302 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  findInPath,
+  findCompiler,
+  compilerArgs,
+  runCompiler,
+  reportMissingCompiler,
+} = require("./toolchain");
+
+const debugType = "axe";
+const mainPattern = /^\s*(?:pub\s+)?def\s+main\s*\(/m;
+
+/**
+ * Debug adapters we know how to drive, in the order `auto` tries them
+ */
+const adapters = {
+  lldb: { executables: ["lldb-dap", "lldb-vscode"], args: [] },
+  gdb: { executables: ["gdb"], args: ["--interpreter=dap"] },
+};
+
+/**
+ * Which adapter an executable is, from its name: `gdb` for gdb, `lldb`
+ * otherwise
+ */
+function adapterKindOf(executable) {
+  return /^gdb/i.test(path.basename(executable)) ? "gdb" : "lldb";
+}
+
+/**
+ * Pick the debug adapter executable for a launch configuration
+ */
+function resolveAdapter(preferred) {
+  const config = vscode.workspace.getConfiguration("axe.debug");
+  const adapterPath = config.get("adapterPath", "");
+  const kind = preferred || config.get("adapter", "auto");
+
+  // With `auto`, a configured path is driven as the adapter it is named after
+  if (adapterPath) {
+    const name = kind === "auto" ? adapterKindOf(adapterPath) : kind;
+    const adapter = adapters[name];
+    return adapter
+      ? { kind: name, command: adapterPath, args: adapter.args }
+      : undefined;
+  }
+
+  const kinds = kind === "auto" ? Object.keys(adapters) : [kind];
+  for (const name of kinds) {
+    const adapter = adapters[name];
+    if (!adapter) {
+      continue;
+    }
+    const command = adapter.executables.map(findInPath).find(Boolean);
+    if (command) {
+      return { kind: name, command, args: adapter.args };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Find the workspace files that define `def main`
+ */
+async function findEntryPoints(folder) {
+  const include = folder
+    ? new vscode.RelativePattern(folder, "**/*.axe")
+    : "**/*.axe";
+  const files = await vscode.workspace.findFiles(
+    include,
+    "**/node_modules/**",
+    100
+  );
+
+  const entryPoints = [];
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(file.fsPath, "utf8");
+      if (mainPattern.test(content)) {
+        entryPoints.push(file);
+      }
+    } catch (e) {
+      // Unreadable files cannot be entry points.
+    }
+  }
+  return entryPoints;
+}
+
+/**
+ * Compile an Axe source file with debug info into a binary in a new
+ * temporary folder, which the caller removes when the session ends
+ */
+async function compileForDebugging(program, cwd, extraArgs, outputChannel) {
+  const compiler = findCompiler(vscode.Uri.file(program));
+  if (!compiler) {
+    reportMissingCompiler();
+    return undefined;
+  }
+
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "axe-debug-"));
+  const binaryName = path.basename(program, path.extname(program));
+  const binaryPath = path.join(
+    outDir,
+    process.platform === "win32" ? `${binaryName}.exe` : binaryName
+  );
+
+  const args = compilerArgs("build", program, [
+    "-g",
+    "-o",
+    binaryPath,
+    ...(extraArgs || []),
+  ]);
+  outputChannel.appendLine(
+    `Compiling for debugging: ${compiler} ${args.join(" ")}`
+  );
+
+  let result;
+  try {
+    result = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `Compiling ${path.basename(program)} with debug info`,
+        cancellable: false,
+      },
+      () => runCompiler(compiler, args, { cwd })
+    );
+  } catch (err) {
+    removeBuildDirectory(outDir);
+    throw err;
+  }
+
+  if (result.stdout) {
+    outputChannel.append(result.stdout);
+  }
+  if (result.stderr) {
+    outputChannel.append(result.stderr);
+  }
+  if (result.code !== 0) {
+    outputChannel.appendLine(`✗ Compilation failed (exit ${result.code})`);
+    removeBuildDirectory(outDir);
+    vscode.window.showErrorMessage(
+      'Axe: compilation failed — check the "Axe LSP" output channel.'
+    );
+    return undefined;
+  }
+
+  return binaryPath;
+}
+
+/**
+ * Remove a folder made by `compileForDebugging`
+ */
+function removeBuildDirectory(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Debug configuration provider for the `axe` debug type. The folders of the
+ * binaries it builds are added to `buildDirs`.
+ */
+function createConfigurationProvider(outputChannel, buildDirs) {
+  return {
+    async provideDebugConfigurations(folder) {
+      const entryPoints = await findEntryPoints(folder);
+      if (entryPoints.length === 0) {
+        return [
+          {
+            type: debugType,
+            request: "launch",
+            name: "Debug current file",
+            program: "${file}",
+          },
+        ];
+      }
+
+      return entryPoints.map((file) => {
+        const relative = folder
+          ? path.relative(folder.uri.fsPath, file.fsPath)
+          : vscode.workspace.asRelativePath(file, false);
+        return {
+          type: debugType,
+          request: "launch",
+          name: `Debug ${relative}`,
+          program: folder
+            ? `\${workspaceFolder}/${relative.split(path.sep).join("/")}`
+            : file.fsPath,
+        };
+      });
+    },
+
+    resolveDebugConfiguration(folder, config) {
+      if (!config.type && !config.request && !config.name) {
+        const editor = vscode.window.activeTextEditor;
+        if (editor && editor.document.languageId === "axe") {
+          config.type = debugType;
+          config.request = "launch";
+          config.name = "Debug current file";
+          config.program = "${file}";
+        }
+      }
+
+      if (!config.program) {
+        vscode.window.showInformationMessage(
+          "Axe: no program to debug. Set `program` in launch.json."
+        );
+        return undefined;
+      }
+      return config;
+    },
+
+    async resolveDebugConfigurationWithSubstitutedVariables(folder, config) {
+      const adapter = resolveAdapter(config.adapter);
+      if (!adapter) {
+        vscode.window.showErrorMessage(
+          "Axe: no debug adapter found. Install lldb-dap or gdb 14+, or set `axe.debug.adapterPath`."
+        );
+        return undefined;
+      }
+
+      const cwd =
+        config.cwd ||
+        (folder ? folder.uri.fsPath : path.dirname(config.program));
+      const binaryPath = await compileForDebugging(
+        config.program,
+        cwd,
+        config.compilerArgs,
+        outputChannel
+      );
+      if (!binaryPath) {
+        return undefined;
+      }
+      const buildDir = path.dirname(binaryPath);
+      buildDirs.add(buildDir);
+
+      const resolved = {
+        ...config,
+        source: config.program,
+        program: binaryPath,
+        buildDir,
+        cwd,
+        args: config.args || [],
+        adapter: adapter.kind,
+        adapterCommand: adapter.command,
+        adapterArgs: adapter.args,
+      };
+      if (adapter.kind === "gdb" && config.stopOnEntry) {
+        resolved.stopAtBeginningOfMainSubprogram = true;
+      }
+      return resolved;
+    },
+  };
+}
+
+/**
+ * Start the resolved gdb or lldb adapter over stdio
+ */
+function createAdapterFactory(outputChannel) {
+  return {
+    createDebugAdapterDescriptor(session) {
+      const { adapterCommand, adapterArgs } = session.configuration;
+      outputChannel.appendLine(
+        `Starting debug adapter: ${adapterCommand} ${adapterArgs.join(" ")}`
+      );
+      return new vscode.DebugAdapterExecutable(adapterCommand, adapterArgs);
+    },
+  };
+}
+
+/**
+ * Register the `axe` debug type. Each session's binary is removed when the
+ * session ends, and any left over when the extension deactivates.
+ */
+function registerDebugSupport(context, outputChannel) {
+  const buildDirs = new Set();
+  const provider = createConfigurationProvider(outputChannel, buildDirs);
+  context.subscriptions.push(
+    vscode.debug.onDidTerminateDebugSession((session) => {
+      const { buildDir } = session.configuration;
+      if (session.type === debugType && buildDirs.delete(buildDir)) {
+        removeBuildDirectory(buildDir);
+      }
+    }),
+    { dispose: () => buildDirs.forEach(removeBuildDirectory) },
+    vscode.debug.registerDebugConfigurationProvider(debugType, provider),
+    vscode.debug.registerDebugConfigurationProvider(
+      debugType,
+      { provideDebugConfigurations: provider.provideDebugConfigurations },
+      vscode.DebugConfigurationProviderTriggerKind.Dynamic
+    ),
+    vscode.debug.registerDebugAdapterDescriptorFactory(
+      debugType,
+      createAdapterFactory(outputChannel)
+    )
+  );
+}
+
+module.exports = {
+  registerDebugSupport,
+  findEntryPoints,
+};
@@ -0,0 +1,107 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const tls = require("tls");
+const { downloadFile, verifyChecksum } = require("./releases");
+
+/**
+ * The certificates in the CA file `caFile` added to Node's root certificates
+ */
+function readCertificates(caFile) {
+  try {
+    return [...tls.rootCertificates, fs.readFileSync(caFile, "utf8")];
+  } catch (err) {
+    throw new Error(`Could not read axe.lsp.caFile ${caFile}: ${err.message}`);
+  }
+}
+
+/**
+ * Proxy, certificate and timeout settings for downloads. Throws if
+ * `axe.lsp.caFile` cannot be read.
+ */
+function getNetworkSettings() {
+  const lspConfig = vscode.workspace.getConfiguration("axe.lsp");
+  const httpConfig = vscode.workspace.getConfiguration("http");
+  const caFile = lspConfig.get("caFile", "");
+
+  return {
+    proxy:
+      httpConfig.get("proxy", "") ||
+      process.env.HTTPS_PROXY ||
+      process.env.https_proxy ||
+      "",
+    noProxy: httpConfig.get("noProxy", []),
+    strictSSL: httpConfig.get("proxyStrictSSL", true),
+    ca: caFile ? readCertificates(caFile) : undefined,
+    timeout: lspConfig.get("downloadTimeoutSeconds", 30) * 1000,
+  };
+}
+
+/**
+ * Format a byte count as megabytes for progress messages
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Download a release asset to `dest` behind a cancellable progress
+ * notification titled `options.title`, and verify it against the release's
+ * checksum before it replaces `dest`. With `options.executable` the file is
+ * made executable. Resolves to its SHA-256.
+ */
+async function downloadAsset(release, asset, dest, network, options = {}) {
+  let sha256;
+  await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: options.title,
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const abort = new AbortController();
+      const cancellation = token.onCancellationRequested(() => abort.abort());
+      let reported = 0;
+      progress.report({ message: "Downloading..." });
+      try {
+        await downloadFile(asset.browser_download_url, dest, network, {
+          signal: abort.signal,
+          onProgress(received, total) {
+            if (!total) {
+              progress.report({
+                message: `Downloading... ${formatMegabytes(received)}`,
+              });
+              return;
+            }
+            const percent = Math.floor((received / total) * 100);
+            progress.report({
+              increment: percent - reported,
+              message: `Downloading... ${percent}% of ${formatMegabytes(total)}`,
+            });
+            reported = percent;
+          },
+          async verify(file) {
+            progress.report({ message: "Verifying checksum..." });
+            sha256 = await verifyChecksum(release, asset.name, file, network);
+            if (options.executable && process.platform !== "win32") {
+              fs.chmodSync(file, 0o755);
+            }
+          },
+        });
+      } catch (err) {
+        if (token.isCancellationRequested) {
+          throw new Error("download cancelled");
+        }
+        throw err;
+      } finally {
+        cancellation.dispose();
+      }
+      progress.report({ message: "Download complete." });
+    }
+  );
+  return sha256;
+}
+
+module.exports = {
+  getNetworkSettings,
+  downloadAsset,
+};
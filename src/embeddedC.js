@@ -0,0 +1,307 @@
+const vscode = require("vscode");
+const { findRawBlocks } = require("./syntax");
+
+const embeddedScheme = "axe-embedded-c";
+const refreshTimeoutMs = 500;
+const axeSelector = { language: "axe" };
+
+/**
+ * Build the C document for the raw blocks of an Axe document. Top-level
+ * blocks are copied as they are; blocks inside functions are wrapped in a
+ * function of their own so that their statements are valid C. Each block
+ * keeps its columns, so only lines need mapping between the two documents.
+ */
+function buildVirtualDocument(document) {
+  const text = document.getText();
+  const regions = [];
+  let content = "";
+  let line = 0;
+
+  findRawBlocks(text).forEach((block, i) => {
+    if (!block.topLevel) {
+      content += `void __axe_raw_${i}(void) {\n`;
+      line++;
+    }
+    const start = document.positionAt(block.contentStart);
+    const end = document.positionAt(block.contentEnd);
+    const code = text.slice(block.contentStart, block.contentEnd);
+    regions.push({
+      start,
+      end,
+      virtualLine: line,
+      lineCount: end.line - start.line + 1,
+    });
+    content += `${" ".repeat(start.character)}${code}\n`;
+    line += end.line - start.line + 1;
+    if (!block.topLevel) {
+      content += "}\n";
+      line++;
+    }
+  });
+  return { version: document.version, content, regions };
+}
+
+/**
+ * Open the document at `uri`, waiting briefly for VS Code to pick up new
+ * content from its provider if it does not hold `content` yet
+ */
+async function openWithContent(uri, content) {
+  const document = await vscode.workspace.openTextDocument(uri);
+  if (document.getText() === content) {
+    return document;
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      listener.dispose();
+      resolve(document);
+    };
+    const timer = setTimeout(done, refreshTimeoutMs);
+    const listener = vscode.workspace.onDidChangeTextDocument((event) => {
+      if (
+        event.document.uri.toString() === uri.toString() &&
+        event.document.getText() === content
+      ) {
+        done();
+      }
+    });
+  });
+}
+
+/**
+ * URI of the C document holding the raw blocks of `uri`
+ */
+function virtualUriFor(uri) {
+  return vscode.Uri.from({
+    scheme: embeddedScheme,
+    path: `/${encodeURIComponent(uri.toString())}.c`,
+  });
+}
+
+/**
+ * URI of the Axe document a C document was extracted from
+ */
+function originalUriOf(virtualUri) {
+  return vscode.Uri.parse(
+    decodeURIComponent(virtualUri.path.slice(1, -".c".length))
+  );
+}
+
+/**
+ * Forward completion, hover and diagnostics for the C code in `raw { }`
+ * blocks to whatever C language support is installed, through a virtual C
+ * document per Axe document
+ */
+function registerEmbeddedC(context) {
+  const virtualDocuments = new Map();
+  const changeEmitter = new vscode.EventEmitter();
+  const diagnostics = vscode.languages.createDiagnosticCollection("axe-c");
+
+  function virtualDocumentFor(document) {
+    const key = document.uri.toString();
+    let virtual = virtualDocuments.get(key);
+    if (!virtual || virtual.version !== document.version) {
+      virtual = buildVirtualDocument(document);
+      virtualDocuments.set(key, virtual);
+      changeEmitter.fire(virtualUriFor(document.uri));
+    }
+    return virtual;
+  }
+
+  function toVirtual(virtual, position) {
+    const region = virtual.regions.find(
+      (r) => position.isAfterOrEqual(r.start) && position.isBeforeOrEqual(r.end)
+    );
+    return region
+      ? new vscode.Position(
+          region.virtualLine + position.line - region.start.line,
+          position.character
+        )
+      : undefined;
+  }
+
+  function toOriginal(virtual, position) {
+    const region = virtual.regions.find(
+      (r) =>
+        position.line >= r.virtualLine &&
+        position.line < r.virtualLine + r.lineCount
+    );
+    return region
+      ? new vscode.Position(
+          region.start.line + position.line - region.virtualLine,
+          position.character
+        )
+      : undefined;
+  }
+
+  function rangeToOriginal(virtual, range) {
+    const start = toOriginal(virtual, range.start);
+    const end = toOriginal(virtual, range.end);
+    return start && end ? new vscode.Range(start, end) : undefined;
+  }
+
+  /**
+   * Open the C document for `document` so C extensions analyse it, and
+   * return it with the position in it matching `position`
+   */
+  async function forward(document, position) {
+    const virtual = virtualDocumentFor(document);
+    const virtualPosition = toVirtual(virtual, position);
+    if (!virtualPosition) {
+      return undefined;
+    }
+    const uri = virtualUriFor(document.uri);
+    await openWithContent(uri, virtual.content);
+    return { virtual, uri, position: virtualPosition };
+  }
+
+  const completionProvider = {
+    async provideCompletionItems(document, position, token, completionContext) {
+      const target = await forward(document, position);
+      if (!target) {
+        return undefined;
+      }
+      const list = await vscode.commands.executeCommand(
+        "vscode.executeCompletionItemProvider",
+        target.uri,
+        target.position,
+        completionContext.triggerCharacter
+      );
+      if (!list) {
+        return undefined;
+      }
+      for (const item of list.items) {
+        if (item.range instanceof vscode.Range) {
+          item.range = rangeToOriginal(target.virtual, item.range);
+        } else if (item.range) {
+          const inserting = rangeToOriginal(
+            target.virtual,
+            item.range.inserting
+          );
+          const replacing = rangeToOriginal(
+            target.virtual,
+            item.range.replacing
+          );
+          item.range =
+            inserting && replacing ? { inserting, replacing } : undefined;
+        }
+      }
+      return list;
+    },
+  };
+
+  const hoverProvider = {
+    async provideHover(document, position) {
+      const target = await forward(document, position);
+      if (!target) {
+        return undefined;
+      }
+      const hovers = await vscode.commands.executeCommand(
+        "vscode.executeHoverProvider",
+        target.uri,
+        target.position
+      );
+      if (!hovers || hovers.length === 0) {
+        return undefined;
+      }
+      const range = hovers[0].range
+        ? rangeToOriginal(target.virtual, hovers[0].range)
+        : undefined;
+      return new vscode.Hover(
+        hovers.flatMap((hover) => hover.contents),
+        range
+      );
+    },
+  };
+
+  function updateDiagnostics(virtualUri) {
+    const originalUri = originalUriOf(virtualUri);
+    const virtual = virtualDocuments.get(originalUri.toString());
+    if (!virtual) {
+      return;
+    }
+    const mapped = [];
+    for (const diagnostic of vscode.languages.getDiagnostics(virtualUri)) {
+      const range = rangeToOriginal(virtual, diagnostic.range);
+      if (!range) {
+        continue; // on a line added around the C code
+      }
+      const copy = new vscode.Diagnostic(
+        range,
+        diagnostic.message,
+        diagnostic.severity
+      );
+      copy.source = diagnostic.source || "C";
+      copy.code = diagnostic.code;
+      copy.tags = diagnostic.tags;
+      mapped.push(copy);
+    }
+    diagnostics.set(originalUri, mapped);
+  }
+
+  /**
+   * Keep the C document of an Axe document with raw blocks open and current
+   */
+  function track(document) {
+    if (document.languageId !== "axe") {
+      return;
+    }
+    const virtual = virtualDocumentFor(document);
+    if (virtual.regions.length > 0) {
+      vscode.workspace
+        .openTextDocument(virtualUriFor(document.uri))
+        .then(undefined, () => undefined);
+    }
+  }
+
+  context.subscriptions.push(
+    diagnostics,
+    changeEmitter,
+    vscode.workspace.registerTextDocumentContentProvider(embeddedScheme, {
+      onDidChange: changeEmitter.event,
+      provideTextDocumentContent(uri) {
+        const virtual = virtualDocuments.get(originalUriOf(uri).toString());
+        return virtual ? virtual.content : "";
+      },
+    }),
+    vscode.languages.registerCompletionItemProvider(
+      axeSelector,
+      completionProvider,
+      ".",
+      ">",
+      ":",
+      "#"
+    ),
+    vscode.languages.registerHoverProvider(axeSelector, hoverProvider),
+    vscode.languages.onDidChangeDiagnostics((event) => {
+      event.uris
+        .filter((uri) => uri.scheme === embeddedScheme)
+        .forEach(updateDiagnostics);
+    }),
+    vscode.workspace.onDidOpenTextDocument(track),
+    vscode.workspace.onDidChangeTextDocument((event) => track(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      if (document.languageId === "axe") {
+        virtualDocuments.delete(document.uri.toString());
+        diagnostics.delete(document.uri);
+      }
+    })
+  );
+  vscode.workspace.textDocuments.forEach(track);
+}
+
+/**
+ * Whether `position` is in the C code of a raw block, where the Axe language
+ * server has nothing to offer
+ */
+function isInRawBlock(document, position) {
+  const offset = document.offsetAt(position);
+  return findRawBlocks(document.getText()).some(
+    (block) => offset >= block.contentStart && offset <= block.contentEnd
+  );
+}
+
+module.exports = {
+  registerEmbeddedC,
+  isInRawBlock,
+};
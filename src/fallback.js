@@ -0,0 +1,298 @@
+const vscode = require("vscode");
+const { findDeclarations } = require("./syntax");
+const { createPositionAt } = require("./positions");
+
+const symbolKinds = {
+  def: vscode.SymbolKind.Function,
+  macro: vscode.SymbolKind.Function,
+  model: vscode.SymbolKind.Struct,
+  enum: vscode.SymbolKind.Enum,
+  union: vscode.SymbolKind.Struct,
+  val: vscode.SymbolKind.Constant,
+  mut: vscode.SymbolKind.Variable,
+};
+
+const axeSelector = { language: "axe" };
+
+/**
+ * Turn the declarations found in `document` into outline symbols
+ */
+function toDocumentSymbols(document, declarations, parentKind) {
+  return declarations.map((declaration) => {
+    const symbol = new vscode.DocumentSymbol(
+      declaration.name,
+      declaration.kind,
+      declaration.kind === "def" && parentKind === "model"
+        ? vscode.SymbolKind.Method
+        : symbolKinds[declaration.kind],
+      new vscode.Range(
+        document.positionAt(declaration.start),
+        document.positionAt(declaration.end)
+      ),
+      new vscode.Range(
+        document.positionAt(declaration.nameStart),
+        document.positionAt(declaration.nameEnd)
+      )
+    );
+    symbol.children = toDocumentSymbols(
+      document,
+      declaration.children,
+      declaration.kind
+    );
+    return symbol;
+  });
+}
+
+/**
+ * Flatten nested declarations into `{ name, kind, container, range }`
+ * entries with ranges covering the names. `positionAt` maps offsets in the
+ * scanned text to positions.
+ */
+function flattenDeclarations(positionAt, declarations, container) {
+  return declarations.flatMap((declaration) => [
+    {
+      name: declaration.name,
+      kind:
+        declaration.kind === "def" && container
+          ? vscode.SymbolKind.Method
+          : symbolKinds[declaration.kind],
+      container,
+      range: new vscode.Range(
+        positionAt(declaration.nameStart),
+        positionAt(declaration.nameEnd)
+      ),
+    },
+    ...flattenDeclarations(positionAt, declaration.children, declaration.name),
+  ]);
+}
+
+/**
+ * Whether every character of `query` appears in `name`, in order
+ */
+function matchesQuery(name, query) {
+  const lowerName = name.toLowerCase();
+  let i = 0;
+  for (const ch of query.toLowerCase()) {
+    i = lowerName.indexOf(ch, i);
+    if (i === -1) {
+      return false;
+    }
+    i++;
+  }
+  return true;
+}
+
+/**
+ * Outline, go-to-definition and workspace symbols computed in the extension,
+ * for when no language server is available. Providers are only registered
+ * while at least one workspace folder is without a server, and only answer
+ * for documents in those folders.
+ *
+ * `keyFor` maps a URI to the key of the client that would serve it.
+ */
+function createFallback(context, outputChannel, watcher, keyFor) {
+  // Why each folder without a server has none, by client key
+  const degraded = new Map();
+  const index = new Map();
+  let registrations;
+  let notice;
+
+  function isDegraded(uri) {
+    return degraded.has(keyFor(uri));
+  }
+
+  function openDocument(uri) {
+    return vscode.workspace.textDocuments.find(
+      (doc) => doc.uri.toString() === uri.toString()
+    );
+  }
+
+  // Files that are not open are read from disk rather than opened as
+  // documents, which would start language clients and sync them to servers
+  async function symbolsOf(uri) {
+    const id = uri.toString();
+    if (!index.has(id)) {
+      const document = openDocument(uri);
+      if (document) {
+        index.set(
+          id,
+          flattenDeclarations(
+            (offset) => document.positionAt(offset),
+            findDeclarations(document.getText())
+          )
+        );
+      } else {
+        const content = await vscode.workspace.fs.readFile(uri);
+        const text = Buffer.from(content).toString("utf8");
+        index.set(
+          id,
+          flattenDeclarations(createPositionAt(text), findDeclarations(text))
+        );
+      }
+    }
+    return index.get(id);
+  }
+
+  async function workspaceSymbols() {
+    const files = await vscode.workspace.findFiles(
+      "**/*.{axe,axec}",
+      "**/node_modules/**"
+    );
+    const results = [];
+    for (const uri of files.filter(isDegraded)) {
+      try {
+        for (const symbol of await symbolsOf(uri)) {
+          results.push({ uri, symbol });
+        }
+      } catch (err) {
+        outputChannel.appendLine(`Could not index ${uri.fsPath}: ${err}`);
+      }
+    }
+    return results;
+  }
+
+  const documentSymbolProvider = {
+    provideDocumentSymbols(document) {
+      if (!isDegraded(document.uri)) {
+        return undefined;
+      }
+      return toDocumentSymbols(document, findDeclarations(document.getText()));
+    },
+  };
+
+  const definitionProvider = {
+    async provideDefinition(document, position) {
+      if (!isDegraded(document.uri)) {
+        return undefined;
+      }
+      const wordRange = document.getWordRangeAtPosition(position);
+      if (!wordRange) {
+        return undefined;
+      }
+      const word = document.getText(wordRange);
+
+      // Prefer a declaration in the same file over one elsewhere
+      const local = (await symbolsOf(document.uri)).filter(
+        (symbol) => symbol.name === word
+      );
+      if (local.length > 0) {
+        return local.map(
+          (symbol) => new vscode.Location(document.uri, symbol.range)
+        );
+      }
+      return (await workspaceSymbols())
+        .filter(({ symbol }) => symbol.name === word)
+        .map(({ uri, symbol }) => new vscode.Location(uri, symbol.range));
+    },
+  };
+
+  const workspaceSymbolProvider = {
+    async provideWorkspaceSymbols(query) {
+      return (await workspaceSymbols())
+        .filter(({ symbol }) => matchesQuery(symbol.name, query))
+        .map(
+          ({ uri, symbol }) =>
+            new vscode.SymbolInformation(
+              symbol.name,
+              symbol.kind,
+              symbol.container || "",
+              new vscode.Location(uri, symbol.range)
+            )
+        );
+    },
+  };
+
+  function register() {
+    if (registrations) {
+      return;
+    }
+    outputChannel.appendLine(
+      "Built-in outline and navigation enabled until the server starts."
+    );
+    registrations = vscode.Disposable.from(
+      vscode.languages.registerDocumentSymbolProvider(
+        axeSelector,
+        documentSymbolProvider,
+        { label: "Axe (no server)" }
+      ),
+      vscode.languages.registerDefinitionProvider(
+        axeSelector,
+        definitionProvider
+      ),
+      vscode.languages.registerWorkspaceSymbolProvider(workspaceSymbolProvider)
+    );
+  }
+
+  function unregister() {
+    if (registrations) {
+      registrations.dispose();
+      registrations = undefined;
+      index.clear();
+      outputChannel.appendLine("Built-in outline and navigation disabled.");
+    }
+  }
+
+  /**
+   * Show why full language features are unavailable next to the language
+   * of Axe documents for as long as any folder is without a server
+   */
+  function updateNotice() {
+    if (degraded.size === 0) {
+      if (notice) {
+        notice.dispose();
+        notice = undefined;
+      }
+      return;
+    }
+    if (!notice) {
+      notice = vscode.languages.createLanguageStatusItem(
+        "axe.fallback",
+        axeSelector
+      );
+      notice.name = "Axe Limited Features";
+      notice.severity = vscode.LanguageStatusSeverity.Warning;
+      notice.text = "$(warning) Limited Axe features";
+      notice.command = { title: "Restart", command: "axe.lsp.restart" };
+    }
+    const reasons = [...new Set(degraded.values())];
+    notice.detail = `No language server (${reasons.join("; ")}). Only the outline, go to definition and symbol search work until it starts.`;
+  }
+
+  const forget = (uri) => index.delete(uri.toString());
+  context.subscriptions.push(
+    watcher.onDidChange(forget),
+    watcher.onDidCreate(forget),
+    watcher.onDidDelete(forget),
+    vscode.workspace.onDidChangeTextDocument((event) =>
+      forget(event.document.uri)
+    ),
+    { dispose: unregister },
+    { dispose: () => notice && notice.dispose() }
+  );
+
+  return {
+    /**
+     * Serve the folder with `key` without a server, explaining `reason`
+     */
+    enable(key, reason) {
+      degraded.set(key, reason);
+      register();
+      updateNotice();
+    },
+
+    /**
+     * Stop serving the folder with `key`, e.g. once its server is running
+     */
+    disable(key) {
+      degraded.delete(key);
+      if (degraded.size === 0) {
+        unregister();
+      }
+      updateNotice();
+    },
+  };
+}
+
+module.exports = {
+  createFallback,
+};
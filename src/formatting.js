@@ -0,0 +1,303 @@
+const vscode = require("vscode");
+const path = require("path");
+const {
+  findCompiler,
+  runCompiler,
+  reportMissingCompiler,
+} = require("./toolchain");
+
+// Above this many line pairs, changed regions are replaced whole instead of
+// being diffed line by line.
+const maxDiffCells = 4 * 1000 * 1000;
+
+/**
+ * Split text into lines, each keeping its line break
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Find the runs of lines that differ between `a` and `b`, as
+ * `{ aStart, aEnd, bStart, bEnd }` (ends exclusive), from their longest
+ * common subsequence
+ */
+function diffLines(a, b) {
+  if ((a.length + 1) * (b.length + 1) > maxDiffCells) {
+    return [{ aStart: 0, aEnd: a.length, bStart: 0, bEnd: b.length }];
+  }
+
+  // lcs[i * width + j] is the LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Int32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk;
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      hunk = undefined;
+      i++;
+      j++;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { aStart: i, aEnd: i, bStart: j, bEnd: j };
+      hunks.push(hunk);
+    }
+    if (
+      j < b.length &&
+      (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])
+    ) {
+      hunk.bEnd = ++j;
+    } else {
+      hunk.aEnd = ++i;
+    }
+  }
+  return hunks;
+}
+
+/**
+ * Turn formatted text into the smallest line edits that produce it from
+ * `document`
+ */
+function computeEdits(document, formatted) {
+  const original = document.getText();
+  if (document.eol === vscode.EndOfLine.CRLF) {
+    formatted = formatted.replace(/\r?\n/g, "\r\n");
+  }
+  if (original === formatted) {
+    return [];
+  }
+
+  const a = splitLines(original);
+  const b = splitLines(formatted);
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const lineOffsets = [0];
+  for (const line of a) {
+    lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length);
+  }
+
+  const aMiddle = a.slice(prefix, a.length - suffix);
+  const bMiddle = b.slice(prefix, b.length - suffix);
+  return diffLines(aMiddle, bMiddle).map(
+    (hunk) =>
+      new vscode.TextEdit(
+        new vscode.Range(
+          document.positionAt(lineOffsets[prefix + hunk.aStart]),
+          document.positionAt(lineOffsets[prefix + hunk.aEnd])
+        ),
+        bMiddle.slice(hunk.bStart, hunk.bEnd).join("")
+      )
+  );
+}
+
+/**
+ * The formatter command for `document`: `axe.format.path`, or the compiler
+ */
+function findFormatter(document) {
+  const config = vscode.workspace.getConfiguration("axe.format", document.uri);
+  return {
+    command: config.get("path", "") || findCompiler(document.uri),
+    args: config.get("args", ["fmt", "--stdin"]),
+  };
+}
+
+/**
+ * Formatting of Axe documents with the formatter CLI, for folders whose
+ * language server does not format. `update` is called as servers start, so
+ * that documents never have two formatters from this extension.
+ */
+function createFormatter(context, outputChannel) {
+  const registrations = new Map();
+  // Formatting runs on every save, so a missing formatter is reported once
+  let missingReported = false;
+
+  function reportMissingFormatter() {
+    if (!missingReported) {
+      missingReported = true;
+      reportMissingCompiler();
+    }
+  }
+
+  async function format(document, token) {
+    const { command, args } = findFormatter(document);
+    if (!command) {
+      outputChannel.appendLine("✗ Formatting skipped: no formatter found");
+      reportMissingFormatter();
+      return undefined;
+    }
+
+    const abort = new AbortController();
+    const cancellation = token.onCancellationRequested(() => abort.abort());
+    let result;
+    try {
+      result = await runCompiler(command, args, {
+        cwd:
+          document.uri.scheme === "file"
+            ? path.dirname(document.uri.fsPath)
+            : undefined,
+        input: document.getText(),
+        signal: abort.signal,
+      });
+    } catch (err) {
+      if (token.isCancellationRequested) {
+        return undefined;
+      }
+      if (err.code === "ENOENT") {
+        outputChannel.appendLine(`✗ Formatting skipped: ${command} not found`);
+        reportMissingFormatter();
+        return undefined;
+      }
+      throw new Error(`could not run ${command}: ${err.message}`);
+    } finally {
+      cancellation.dispose();
+    }
+
+    if (result.code !== 0) {
+      throw new Error(
+        (result.stderr || result.stdout).trim() ||
+          `${command} exited with code ${result.code}`
+      );
+    }
+    return computeEdits(document, result.stdout);
+  }
+
+  // Documents being saved, whose formatting is format-on-save rather than
+  // an explicit Format Document or Format Selection
+  const saving = new Set();
+  // The last error shown for each document formatted on save, so the same
+  // failure is not shown again on every save
+  const shownOnSave = new Map();
+
+  /**
+   * Log a formatting failure and show it, unless formatting on save keeps
+   * failing the same way for the document
+   */
+  async function reportError(document, err) {
+    outputChannel.appendLine(`✗ Formatting failed: ${err.message}`);
+    const id = document.uri.toString();
+    if (saving.has(id)) {
+      if (shownOnSave.get(id) === err.message) {
+        return;
+      }
+      shownOnSave.set(id, err.message);
+    }
+    const choice = await vscode.window.showErrorMessage(
+      `Axe: formatting failed: ${err.message.split("\n")[0]}`,
+      "Show Output"
+    );
+    if (choice === "Show Output") {
+      outputChannel.show(true);
+    }
+  }
+
+  /**
+   * Run the formatter for `document`, reporting failures
+   */
+  async function formatAndReport(document, token) {
+    try {
+      const edits = await format(document, token);
+      shownOnSave.delete(document.uri.toString());
+      return edits;
+    } catch (err) {
+      reportError(document, err);
+      return undefined;
+    }
+  }
+
+  const documentProvider = {
+    provideDocumentFormattingEdits(document, options, token) {
+      return formatAndReport(document, token);
+    },
+  };
+
+  // The formatter works on whole files, so only the edits touching the
+  // range are kept.
+  const rangeProvider = {
+    async provideDocumentRangeFormattingEdits(document, range, options, token) {
+      const edits = await formatAndReport(document, token);
+      return edits
+        ? edits.filter((edit) => range.intersection(edit.range))
+        : undefined;
+    },
+  };
+
+  function remove(key) {
+    const registration = registrations.get(key);
+    if (registration) {
+      registration.dispose();
+      registrations.delete(key);
+    }
+  }
+
+  context.subscriptions.push(
+    { dispose: () => [...registrations.keys()].forEach(remove) },
+    vscode.workspace.onWillSaveTextDocument((event) =>
+      saving.add(event.document.uri.toString())
+    ),
+    vscode.workspace.onDidSaveTextDocument((document) =>
+      saving.delete(document.uri.toString())
+    ),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      saving.delete(document.uri.toString());
+      shownOnSave.delete(document.uri.toString());
+    })
+  );
+
+  return {
+    /**
+     * Format documents matching `selector` with the CLI, except for what
+     * the server's `capabilities` say it formats itself
+     */
+    update(key, selector, capabilities = {}) {
+      remove(key);
+      const disposables = [];
+      if (!capabilities.documentFormattingProvider) {
+        disposables.push(
+          vscode.languages.registerDocumentFormattingEditProvider(
+            selector,
+            documentProvider
+          )
+        );
+      }
+      if (!capabilities.documentRangeFormattingProvider) {
+        disposables.push(
+          vscode.languages.registerDocumentRangeFormattingEditProvider(
+            selector,
+            rangeProvider
+          )
+        );
+      }
+      registrations.set(key, vscode.Disposable.from(...disposables));
+    },
+
+    remove,
+  };
+}
+
+module.exports = {
+  computeEdits,
+  createFormatter,
+};
@@ -0,0 +1,275 @@
+const vscode = require("vscode");
+const path = require("path");
+const { findCompiler, compilerArgs, runCompiler } = require("./toolchain");
+
+const generatedScheme = "axe-generated";
+const methodNotFound = -32601;
+
+/**
+ * What each kind of generated document shows, and how to ask for it: the
+ * custom axels request, or the compiler mode used when the server does not
+ * implement it
+ */
+const generatedKinds = {
+  c: {
+    title: "Generated C",
+    extension: ".c",
+    request: "axe/generatedC",
+    compilerMode: "emitC",
+  },
+  macro: {
+    title: "Macro Expansion",
+    extension: ".expanded.axe",
+    request: "axe/expandMacro",
+    compilerMode: "expandMacro",
+  },
+};
+
+/**
+ * URI of the generated document of `kind` for `source`, and for macro
+ * expansions, the `position` of the macro call
+ */
+function generatedUri(source, kind, position) {
+  const query = new URLSearchParams({ kind, source: source.toString() });
+  if (position) {
+    query.set("line", String(position.line));
+    query.set("character", String(position.character));
+  }
+  return vscode.Uri.from({
+    scheme: generatedScheme,
+    path: `${source.path}${generatedKinds[kind].extension}`,
+    query: query.toString(),
+  });
+}
+
+/**
+ * Read the kind, source and position back out of a generated document's URI
+ */
+function parseGeneratedUri(uri) {
+  const query = new URLSearchParams(uri.query);
+  return {
+    kind: query.get("kind"),
+    source: vscode.Uri.parse(query.get("source")),
+    position: query.has("line")
+      ? new vscode.Position(
+          Number(query.get("line")),
+          Number(query.get("character"))
+        )
+      : undefined,
+  };
+}
+
+/**
+ * Build a source map out of the `#line` directives in generated C. Lines
+ * mapped to other files, such as runtime headers, are left out.
+ */
+function sourceMapFromLineDirectives(code, sourcePath) {
+  const mappings = [];
+  let sourceLine;
+  code.split(/\r?\n/).forEach((line, generatedLine) => {
+    const directive = /^\s*#\s*line\s+(\d+)(?:\s+"([^"]*)")?/.exec(line);
+    if (directive) {
+      const file = directive[2];
+      sourceLine =
+        !file || path.basename(file) === path.basename(sourcePath)
+          ? Number(directive[1]) - 1
+          : undefined;
+      return;
+    }
+    if (sourceLine !== undefined) {
+      mappings.push({ source: sourceLine, generated: generatedLine });
+      sourceLine++;
+    }
+  });
+  return mappings;
+}
+
+/**
+ * Show the C generated for Axe files and the expansion of macro calls in
+ * read-only documents, refreshed when the source is saved, with the lines
+ * of the two editors linked through a source map.
+ *
+ * `clientFor(uri)` returns the running language client for `uri`, if any.
+ */
+function registerGeneratedCode(context, outputChannel, clientFor) {
+  const changeEmitter = new vscode.EventEmitter();
+  const sourceMaps = new Map();
+  const highlight = vscode.window.createTextEditorDecorationType({
+    backgroundColor: new vscode.ThemeColor("editor.rangeHighlightBackground"),
+    isWholeLine: true,
+  });
+
+  async function generateWithServer(client, kind, source, position) {
+    const params = { textDocument: { uri: source.toString() } };
+    if (position) {
+      params.position = { line: position.line, character: position.character };
+    }
+    try {
+      return await client.sendRequest(generatedKinds[kind].request, params);
+    } catch (err) {
+      if (err.code === methodNotFound) {
+        return undefined;
+      }
+      throw err;
+    }
+  }
+
+  async function generateWithCompiler(kind, source, position) {
+    const compiler = findCompiler(source);
+    if (!compiler) {
+      throw new Error(
+        "the language server cannot generate this and no Axe compiler was found"
+      );
+    }
+    const args = compilerArgs(
+      generatedKinds[kind].compilerMode,
+      source.fsPath,
+      position ? [`${position.line + 1}:${position.character + 1}`] : []
+    );
+    outputChannel.appendLine(`Generating: ${compiler} ${args.join(" ")}`);
+    const result = await runCompiler(compiler, args, {
+      cwd: path.dirname(source.fsPath),
+    });
+    if (result.code !== 0) {
+      throw new Error(
+        result.stderr.trim() || `${compiler} exited with code ${result.code}`
+      );
+    }
+    return { code: result.stdout };
+  }
+
+  async function generate(uri) {
+    const { kind, source, position } = parseGeneratedUri(uri);
+    const client = clientFor(source);
+    let result = client
+      ? await generateWithServer(client, kind, source, position)
+      : undefined;
+    if (!result) {
+      result = await generateWithCompiler(kind, source, position);
+    }
+
+    const code = result.code || "";
+    let mappings = result.sourceMap;
+    if (!mappings && kind === "c") {
+      mappings = sourceMapFromLineDirectives(code, source.fsPath);
+    } else if (!mappings && position) {
+      // An expansion without a map comes from the macro call's line
+      mappings = code
+        .split(/\r?\n/)
+        .map((line, generated) => ({ source: position.line, generated }));
+    }
+    sourceMaps.set(uri.toString(), { source, mappings: mappings || [] });
+    return code;
+  }
+
+  const contentProvider = {
+    onDidChange: changeEmitter.event,
+    async provideTextDocumentContent(uri) {
+      try {
+        return await generate(uri);
+      } catch (err) {
+        const { kind } = parseGeneratedUri(uri);
+        outputChannel.appendLine(
+          `✗ ${generatedKinds[kind].title} failed: ${err.message}`
+        );
+        vscode.window.showErrorMessage(
+          `Axe: ${generatedKinds[kind].title.toLowerCase()} failed: ${err.message.split("\n")[0]}`
+        );
+        sourceMaps.delete(uri.toString());
+        return `// ${generatedKinds[kind].title} failed:\n// ${err.message.replace(/\n/g, "\n// ")}\n`;
+      }
+    },
+  };
+
+  async function show(kind, position) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || editor.document.languageId !== "axe") {
+      vscode.window.showInformationMessage("Axe: open an Axe file first.");
+      return;
+    }
+    const uri = generatedUri(editor.document.uri, kind, position);
+    const doc = await vscode.workspace.openTextDocument(uri);
+    await vscode.window.showTextDocument(doc, {
+      viewColumn: vscode.ViewColumn.Beside,
+      preserveFocus: true,
+      preview: true,
+    });
+  }
+
+  /**
+   * Highlight the lines in the other editor that match the selection in
+   * `editor`, whichever side of a source map it is on
+   */
+  function linkSelection(editor) {
+    const uri = editor.document.uri.toString();
+    const line = editor.selection.active.line;
+
+    for (const [generated, map] of sourceMaps) {
+      const isGenerated = generated === uri;
+      if (!isGenerated && map.source.toString() !== uri) {
+        continue;
+      }
+      const other = vscode.window.visibleTextEditors.find(
+        (e) =>
+          e.document.uri.toString() ===
+          (isGenerated ? map.source.toString() : generated)
+      );
+      if (!other) {
+        continue;
+      }
+
+      const lines = map.mappings
+        .filter((m) => (isGenerated ? m.generated : m.source) === line)
+        .map((m) => (isGenerated ? m.source : m.generated));
+      const ranges = lines.map((l) => new vscode.Range(l, 0, l, 0));
+      other.setDecorations(highlight, ranges);
+      editor.setDecorations(
+        highlight,
+        ranges.length > 0 ? [new vscode.Range(line, 0, line, 0)] : []
+      );
+      if (ranges.length > 0) {
+        other.revealRange(
+          ranges[0],
+          vscode.TextEditorRevealType.InCenterIfOutsideViewport
+        );
+      }
+    }
+  }
+
+  context.subscriptions.push(
+    changeEmitter,
+    highlight,
+    vscode.workspace.registerTextDocumentContentProvider(
+      generatedScheme,
+      contentProvider
+    ),
+    vscode.commands.registerCommand("axe.showGeneratedC", () => show("c")),
+    vscode.commands.registerCommand("axe.expandMacro", () => {
+      const editor = vscode.window.activeTextEditor;
+      return show("macro", editor ? editor.selection.active : undefined);
+    }),
+    vscode.workspace.onDidSaveTextDocument((document) => {
+      for (const doc of vscode.workspace.textDocuments) {
+        if (
+          doc.uri.scheme === generatedScheme &&
+          parseGeneratedUri(doc.uri).source.toString() ===
+            document.uri.toString()
+        ) {
+          changeEmitter.fire(doc.uri);
+        }
+      }
+    }),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      if (document.uri.scheme === generatedScheme) {
+        sourceMaps.delete(document.uri.toString());
+      }
+    }),
+    vscode.window.onDidChangeTextEditorSelection((event) =>
+      linkSelection(event.textEditor)
+    )
+  );
+}
+
+module.exports = {
+  registerGeneratedCode,
+};
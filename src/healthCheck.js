@@ -0,0 +1,353 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const { findDeclarations } = require("./syntax");
+
+const probeTimeoutMs = 5000;
+const slowResponseMs = 1000;
+const statusIcons = { pass: "✓", fail: "✗", skip: "–" };
+
+/**
+ * Resolve to `promise`'s value, or reject once `ms` have passed
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`no response within ${ms / 1000}s`)),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function pass(detail) {
+  return { status: "pass", detail };
+}
+
+function fail(detail) {
+  return { status: "fail", detail };
+}
+
+function skip(detail) {
+  return { status: "skip", detail };
+}
+
+/**
+ * The individual probes. Each takes the probe target and resolves to a
+ * `{ status, detail }` result.
+ *
+ * The target has the `document` and `position` to probe (if an Axe document
+ * is open) and the `client`, its `state`, `serverVersion` and `stdlib` of the
+ * client serving it.
+ */
+const probes = [
+  {
+    id: "client",
+    name: "Language client",
+    async run({ client, state }) {
+      if (!client) {
+        return fail("No language client serves this document");
+      }
+      return state === "Running" ? pass(state) : fail(`Client is ${state}`);
+    },
+  },
+  {
+    id: "serverVersion",
+    name: "Server version",
+    async run({ state, serverVersion }) {
+      if (state !== "Running") {
+        return skip("Server not running");
+      }
+      return serverVersion
+        ? pass(serverVersion)
+        : fail("The server did not report its version");
+    },
+  },
+  {
+    id: "stdlib",
+    name: "Standard library",
+    async run({ stdlib }) {
+      if (!stdlib) {
+        return fail("No standard library found");
+      }
+      if (!fs.existsSync(stdlib.path)) {
+        return fail(`${stdlib.path} (${stdlib.source}) does not exist`);
+      }
+      return pass(`${stdlib.path} (${stdlib.source})`);
+    },
+  },
+  {
+    id: "latency",
+    name: "Round-trip latency",
+    requiresDocument: true,
+    async run({ client, document }) {
+      const startTime = Date.now();
+      await client.sendRequest("textDocument/documentSymbol", {
+        textDocument: { uri: document.uri.toString() },
+      });
+      const elapsed = Date.now() - startTime;
+      return elapsed > slowResponseMs
+        ? fail(`${elapsed} ms (slower than ${slowResponseMs} ms)`)
+        : pass(`${elapsed} ms`);
+    },
+  },
+  {
+    id: "completion",
+    name: "Completion",
+    requiresDocument: true,
+    async run({ document, position }) {
+      const completions = await vscode.commands.executeCommand(
+        "vscode.executeCompletionItemProvider",
+        document.uri,
+        position
+      );
+      const count =
+        completions && completions.items ? completions.items.length : 0;
+      return count > 0
+        ? pass(
+            `${count} item(s) at ${position.line + 1}:${position.character + 1}`
+          )
+        : fail(
+            `No completions at ${position.line + 1}:${position.character + 1}`
+          );
+    },
+  },
+  {
+    id: "hover",
+    name: "Hover",
+    requiresDocument: true,
+    async run({ document, declaration }) {
+      if (!declaration) {
+        return skip("No declarations in the document to hover");
+      }
+      const hovers = await vscode.commands.executeCommand(
+        "vscode.executeHoverProvider",
+        document.uri,
+        declaration.position
+      );
+      return hovers && hovers.length > 0
+        ? pass(`${hovers.length} result(s) for \`${declaration.name}\``)
+        : fail(`No hover for \`${declaration.name}\``);
+    },
+  },
+  {
+    id: "definition",
+    name: "Go to definition",
+    requiresDocument: true,
+    async run({ document, declaration }) {
+      if (!declaration) {
+        return skip("No declarations in the document to look up");
+      }
+      const definitions = await vscode.commands.executeCommand(
+        "vscode.executeDefinitionProvider",
+        document.uri,
+        declaration.position
+      );
+      const found = (definitions || []).some((d) => {
+        const uri = d.uri || d.targetUri;
+        const range = d.targetSelectionRange || d.targetRange || d.range;
+        return (
+          uri &&
+          uri.toString() === document.uri.toString() &&
+          range.start.line === declaration.position.line
+        );
+      });
+      return found
+        ? pass(`\`${declaration.name}\` resolves to its declaration`)
+        : fail(`\`${declaration.name}\` did not resolve to its declaration`);
+    },
+  },
+  {
+    id: "documentSymbols",
+    name: "Document symbols",
+    requiresDocument: true,
+    async run({ document }) {
+      const symbols = await vscode.commands.executeCommand(
+        "vscode.executeDocumentSymbolProvider",
+        document.uri
+      );
+      return symbols && symbols.length > 0
+        ? pass(`${symbols.length} symbol(s)`)
+        : fail("No document symbols returned");
+    },
+  },
+  {
+    id: "diagnostics",
+    name: "Diagnostics",
+    requiresDocument: true,
+    async run({ client, document }) {
+      const diagnostics = client.diagnostics
+        ? client.diagnostics.get(document.uri) || []
+        : vscode.languages.getDiagnostics(document.uri);
+      const errors = diagnostics.filter(
+        (d) => d.severity === vscode.DiagnosticSeverity.Error
+      ).length;
+      return pass(
+        `${diagnostics.length} diagnostic(s) published, ${errors} error(s)`
+      );
+    },
+  },
+];
+
+/**
+ * Run every probe against `target` and collect the results into a report
+ */
+async function runProbes(context, target) {
+  const checks = [];
+  for (const probe of probes) {
+    const startTime = Date.now();
+    let result;
+    if (probe.requiresDocument && !target.document) {
+      result = skip("No Axe document open");
+    } else if (probe.requiresDocument && target.state !== "Running") {
+      result = skip("Server not running");
+    } else {
+      try {
+        result = await withTimeout(probe.run(target), probeTimeoutMs);
+      } catch (err) {
+        result = fail(`Error: ${err.message || err}`);
+      }
+    }
+    checks.push({
+      id: probe.id,
+      name: probe.name,
+      ...result,
+      durationMs: Date.now() - startTime,
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    extensionVersion: context.extension.packageJSON.version,
+    vscodeVersion: vscode.version,
+    platform: `${process.platform} ${process.arch}`,
+    document: target.document ? target.document.uri.toString() : null,
+    summary: {
+      pass: checks.filter((c) => c.status === "pass").length,
+      fail: checks.filter((c) => c.status === "fail").length,
+      skip: checks.filter((c) => c.status === "skip").length,
+    },
+    checks,
+  };
+}
+
+/**
+ * Render a report as Markdown, with the raw JSON at the end
+ */
+function formatReport(report) {
+  const rows = report.checks.map(
+    (check) =>
+      `| ${statusIcons[check.status]} ${check.status} | ${check.name} | ${(check.detail || "").replace(/\|/g, "\\|")} |`
+  );
+  return [
+    "# Axe Health Check",
+    "",
+    `- Extension: ${report.extensionVersion}`,
+    `- VS Code: ${report.vscodeVersion}`,
+    `- Platform: ${report.platform}`,
+    `- Document: ${report.document || "(none)"}`,
+    `- Result: ${report.summary.pass} passed, ${report.summary.fail} failed, ${report.summary.skip} skipped`,
+    "",
+    "| Status | Check | Detail |",
+    "| --- | --- | --- |",
+    ...rows,
+    "",
+    "<details><summary>JSON</summary>",
+    "",
+    "```json",
+    JSON.stringify(report, null, 2),
+    "```",
+    "",
+    "</details>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Register "Axe: Run Health Check". `describeClient(uri)` returns the
+ * `client`, `state`, `serverVersion` and `stdlib` serving `uri`.
+ *
+ * Returns the probes as an API: `run(uri)` resolves to the report for the
+ * Axe document at `uri` (or the active one), and `format(report)` renders it
+ * as Markdown.
+ */
+function registerHealthCheck(context, outputChannel, describeClient) {
+  async function run(uri) {
+    const editor = vscode.window.activeTextEditor;
+    let document;
+    if (uri) {
+      document = await vscode.workspace.openTextDocument(uri);
+    } else if (editor && editor.document.languageId === "axe") {
+      document = editor.document;
+    }
+
+    let position;
+    let declaration;
+    if (document) {
+      position =
+        editor && editor.document === document
+          ? editor.selection.active
+          : document.positionAt(document.getText().length);
+      const first = findDeclarations(document.getText())[0];
+      declaration = first
+        ? { name: first.name, position: document.positionAt(first.nameStart) }
+        : undefined;
+    }
+
+    return runProbes(context, {
+      document,
+      position,
+      declaration,
+      ...describeClient(document && document.uri),
+    });
+  }
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("axe.lsp.runHealthCheck", async () => {
+      const report = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Window,
+          title: "Axe: Running health check",
+        },
+        () => run()
+      );
+      const markdown = formatReport(report);
+
+      outputChannel.appendLine("\n=== Health Check ===");
+      report.checks.forEach((check) =>
+        outputChannel.appendLine(
+          `${statusIcons[check.status]} ${check.name}: ${check.detail || ""}`
+        )
+      );
+
+      const doc = await vscode.workspace.openTextDocument({
+        language: "markdown",
+        content: markdown,
+      });
+      await vscode.window.showTextDocument(doc, { preview: true });
+
+      const { summary } = report;
+      const message = `Axe health check: ${summary.pass} passed, ${summary.fail} failed, ${summary.skip} skipped.`;
+      const choice = await (summary.fail > 0
+        ? vscode.window.showWarningMessage(message, "Copy for Bug Report")
+        : vscode.window.showInformationMessage(message, "Copy for Bug Report"));
+      if (choice === "Copy for Bug Report") {
+        await vscode.env.clipboard.writeText(markdown);
+        vscode.window.showInformationMessage(
+          "Axe: health check report copied to the clipboard."
+        );
+      }
+    })
+  );
+
+  return { run, format: formatReport };
+}
+
+module.exports = {
+  withTimeout,
+  runProbes,
+  formatReport,
+  registerHealthCheck,
+};
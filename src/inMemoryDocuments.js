@@ -0,0 +1,79 @@
+const vscode = require("vscode");
+const path = require("path");
+const { isDirectory } = require("./stdlib");
+
+/**
+ * Notification sent before a document without a file on disk is opened, so
+ * the server analyses the text it is sent instead of reading the path, and
+ * knows where to resolve its `use` imports
+ */
+const inMemoryDocumentNotification = "axe/inMemoryDocument";
+
+/**
+ * Schemes of the documents the language server is sent: files, the `git:`
+ * side of diffs and virtual file systems. Untitled documents are served by
+ * the client without a folder. The extension's own read-only views, such as
+ * macro expansions and stdlib modules, are left out.
+ */
+const servedSchemes = ["file", "git", "vscode-vfs"];
+
+/**
+ * The workspace folder holding `uri`. Documents of other schemes, such as
+ * the `git:` side of a diff, belong to the folder their path lies in.
+ */
+function folderFor(uri) {
+  const folder = vscode.workspace.getWorkspaceFolder(uri);
+  if (folder || uri.scheme === "untitled") {
+    return folder;
+  }
+  return (vscode.workspace.workspaceFolders || []).find((candidate) => {
+    const relative = path.relative(candidate.uri.fsPath, uri.fsPath);
+    return !relative.startsWith("..") && !path.isAbsolute(relative);
+  });
+}
+
+/**
+ * Folder on disk that the `use` imports of an in-memory document resolve
+ * against: the folder its path lies in, if that exists, or else the
+ * workspace folder
+ */
+function importRoot(document, folder) {
+  if (document.uri.scheme !== "untitled") {
+    const dir = path.dirname(document.uri.fsPath);
+    if (path.isAbsolute(dir) && isDirectory(dir)) {
+      return dir;
+    }
+  }
+  return folder && folder.uri.scheme === "file" ? folder.uri.fsPath : undefined;
+}
+
+/**
+ * Client middleware that tells the server about documents with no file on
+ * disk before opening them. `getClient` returns the client it belongs to.
+ * The document is opened even if the notification cannot be sent.
+ */
+function inMemoryDocumentMiddleware(folder, getClient, outputChannel) {
+  return {
+    didOpen: async (document, next) => {
+      if (document.uri.scheme !== "file") {
+        try {
+          await getClient().sendNotification(inMemoryDocumentNotification, {
+            textDocument: { uri: document.uri.toString() },
+            importRoot: importRoot(document, folder),
+          });
+        } catch (err) {
+          outputChannel.appendLine(
+            `Could not send ${inMemoryDocumentNotification} for ${document.uri}: ${err.message || err}`
+          );
+        }
+      }
+      return next(document);
+    },
+  };
+}
+
+module.exports = {
+  servedSchemes,
+  folderFor,
+  inMemoryDocumentMiddleware,
+};
@@ -0,0 +1,621 @@
+const vscode = require("vscode");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  StreamMessageReader,
+  StreamMessageWriter,
+} = require("vscode-languageclient/node");
+
+// Older messages are dropped so a long session does not grow without bound
+const maxEntries = 2000;
+const maxBytes = 16 * 1024 * 1024;
+const flushDelayMs = 200;
+
+// Fields holding the user's source code, left out of exported traces and
+// truncated when recorded, since full-text sync sends whole documents
+const sourceTextKeys = new Set(["text", "newText", "insertText"]);
+const maxStoredTextLength = 1000;
+
+// Methods whose results, or for notifications whose params, are made from
+// the user's code: names, types, documentation and diagnostic messages.
+// Exported traces keep only how many items they held.
+const sourceContentMethods = new Set([
+  "textDocument/hover",
+  "textDocument/completion",
+  "completionItem/resolve",
+  "textDocument/signatureHelp",
+  "textDocument/documentSymbol",
+  "workspace/symbol",
+  "textDocument/semanticTokens/full",
+  "textDocument/semanticTokens/full/delta",
+  "textDocument/semanticTokens/range",
+  "textDocument/inlayHint",
+  "inlayHint/resolve",
+  "textDocument/codeAction",
+  "codeAction/resolve",
+  "textDocument/codeLens",
+  "codeLens/resolve",
+  "textDocument/prepareRename",
+  "textDocument/diagnostic",
+  "workspace/diagnostic",
+  "textDocument/publishDiagnostics",
+  "window/logMessage",
+  "window/showMessage",
+  "axe/expandMacro",
+  "axe/generatedC",
+]);
+// Params of those notifications that only say which document they are about
+const documentKeys = new Set(["uri", "version", "textDocument"]);
+
+/**
+ * What kind of JSON-RPC message `message` is
+ */
+function messageKind(message) {
+  if (message.method === undefined) {
+    return "response";
+  }
+  return message.id === undefined ? "notification" : "request";
+}
+
+/**
+ * A copy of `value` with source code longer than `maxStoredTextLength`
+ * truncated, as it is recorded
+ */
+function truncateSourceText(value) {
+  const walk = (v, key) => {
+    if (typeof v === "string") {
+      return sourceTextKeys.has(key) && v.length > maxStoredTextLength
+        ? `${v.slice(0, maxStoredTextLength)}… <${v.length} characters in total>`
+        : v;
+    }
+    if (Array.isArray(v)) {
+      return v.map((item) => walk(item, key));
+    }
+    if (v && typeof v === "object") {
+      const copy = {};
+      for (const [k, item] of Object.entries(v)) {
+        copy[k] = walk(item, k);
+      }
+      return copy;
+    }
+    return v;
+  };
+  return walk(value);
+}
+
+/**
+ * Rough size in bytes of a recorded payload
+ */
+function payloadSize(value) {
+  return value === undefined ? 0 : JSON.stringify(value).length;
+}
+
+/**
+ * What is left of a payload made from the user's code: how many items it
+ * held
+ */
+function summarizeContent(value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  const items = Array.isArray(value) ? value : value.items;
+  if (Array.isArray(items)) {
+    return `<redacted ${items.length} ${items.length === 1 ? "item" : "items"}>`;
+  }
+  return "<redacted>";
+}
+
+/**
+ * The recorded message `entry` as exported, with the results and
+ * notification params of `sourceContentMethods` summarized
+ */
+function exportedMessage(entry) {
+  const content = sourceContentMethods.has(entry.method);
+  let params = entry.params;
+  if (content && entry.kind === "notification" && params) {
+    params = {};
+    for (const [key, value] of Object.entries(entry.params)) {
+      params[key] = documentKeys.has(key) ? value : summarizeContent(value);
+    }
+  }
+  const response =
+    content && entry.response && "result" in entry.response
+      ? { result: summarizeContent(entry.response.result) }
+      : entry.response;
+  return {
+    type: entry.kind,
+    time: new Date(entry.time).toISOString(),
+    folder: entry.folder,
+    direction: entry.direction,
+    method: entry.method,
+    id: entry.id,
+    durationMs: entry.duration,
+    status: entry.status,
+    params,
+    ...response,
+  };
+}
+
+/**
+ * A copy of `value` without source code, with the home folder replaced by
+ * `~` in paths and URIs, for traces attached to bug reports
+ */
+function redact(value) {
+  const home = os.homedir();
+  const homeUriPath = vscode.Uri.file(home).toString().slice("file://".length);
+  const redactString = (s) =>
+    home ? s.split(homeUriPath).join("~").split(home).join("~") : s;
+
+  const walk = (v, key) => {
+    if (typeof v === "string") {
+      return sourceTextKeys.has(key)
+        ? `<redacted ${v.length} characters>`
+        : redactString(v);
+    }
+    if (Array.isArray(v)) {
+      return v.map((item) => walk(item, key));
+    }
+    if (v && typeof v === "object") {
+      const copy = {};
+      for (const [k, item] of Object.entries(v)) {
+        copy[k] = walk(item, k);
+      }
+      return copy;
+    }
+    return v;
+  };
+  return walk(value);
+}
+
+/**
+ * Keep the requests and notifications exchanged with every language server,
+ * each request with its response and duration, and show them in the
+ * "Axe: Open LSP Inspector" webview. "Axe: Export Trace" writes them to a
+ * redacted JSON Lines file. Messages are only recorded while the inspector
+ * is open or `axe.lsp.trace` is on.
+ */
+function createInspector(context, outputChannel) {
+  const entries = [];
+  // Requests waiting for their response, by folder URI, direction and id
+  const pending = new Map();
+  let nextSeq = 1;
+  let totalBytes = 0;
+  let panel;
+  let changed = new Set();
+  let flushTimer;
+
+  const pendingKey = (folderKey, direction, id) =>
+    `${folderKey}\0${direction}\0${id}`;
+
+  function recording() {
+    return (
+      Boolean(panel) ||
+      vscode.workspace.getConfiguration("axe.lsp").get("trace", "off") !== "off"
+    );
+  }
+
+  /**
+   * Drop the oldest entries until the recorded messages fit the limits
+   */
+  function prune() {
+    while (
+      entries.length > 0 &&
+      (entries.length > maxEntries || totalBytes > maxBytes)
+    ) {
+      const dropped = entries.shift();
+      totalBytes -= dropped.size;
+      pending.delete(
+        pendingKey(dropped.folderKey, dropped.direction, dropped.id)
+      );
+    }
+  }
+
+  function summary(entry) {
+    return {
+      seq: entry.seq,
+      time: new Date(entry.time).toLocaleTimeString(),
+      folder: entry.folder,
+      direction: entry.direction,
+      kind: entry.kind,
+      method: entry.method,
+      id: entry.id,
+      duration: entry.duration,
+      status: entry.status,
+    };
+  }
+
+  function post(message) {
+    if (panel) {
+      panel.webview.postMessage(message);
+    }
+  }
+
+  function flush() {
+    flushTimer = undefined;
+    const updated = [...changed].filter((entry) => entries.includes(entry));
+    changed = new Set();
+    if (updated.length > 0) {
+      post({
+        type: "upsert",
+        entries: updated.map(summary),
+        oldest: entries.length > 0 ? entries[0].seq : nextSeq,
+      });
+    }
+  }
+
+  function entryChanged(entry) {
+    if (!panel) {
+      return;
+    }
+    changed.add(entry);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+    }
+  }
+
+  /**
+   * Record a message the client of the folder with URI `folderKey` (labelled
+   * `folder`) sent or received, as given by `direction` ("send" or
+   * "receive")
+   */
+  function record(folderKey, folder, direction, message) {
+    const kind = messageKind(message);
+    if (kind === "response") {
+      // A response travels the other way from its request
+      const requestDirection = direction === "send" ? "receive" : "send";
+      const key = pendingKey(folderKey, requestDirection, message.id);
+      const request = pending.get(key);
+      if (request) {
+        pending.delete(key);
+        request.duration = Date.now() - request.time;
+        request.status = message.error ? "error" : "ok";
+        request.response = truncateSourceText(
+          message.error
+            ? { error: message.error }
+            : { result: message.result === undefined ? null : message.result }
+        );
+        const size = payloadSize(request.response);
+        request.size += size;
+        totalBytes += size;
+        prune();
+        entryChanged(request);
+      }
+      return;
+    }
+
+    if (!recording()) {
+      return;
+    }
+    const params = truncateSourceText(message.params);
+    const entry = {
+      seq: nextSeq++,
+      time: Date.now(),
+      folderKey,
+      folder,
+      direction,
+      kind,
+      method: message.method,
+      id: message.id,
+      duration: undefined,
+      status: kind === "request" ? "pending" : undefined,
+      params,
+      response: undefined,
+      size: payloadSize(params),
+    };
+    entries.push(entry);
+    totalBytes += entry.size;
+    if (kind === "request") {
+      pending.set(pendingKey(folderKey, direction, message.id), entry);
+    }
+    prune();
+    entryChanged(entry);
+  }
+
+  function clear() {
+    entries.length = 0;
+    totalBytes = 0;
+    pending.clear();
+    changed = new Set();
+    post({ type: "reset", entries: [], oldest: nextSeq });
+  }
+
+  async function exportTrace() {
+    if (entries.length === 0) {
+      vscode.window.showInformationMessage(
+        "Axe: no language server traffic has been recorded yet. Messages are recorded while the LSP Inspector is open or `axe.lsp.trace` is on."
+      );
+      return;
+    }
+
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    const name = `axels-trace-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`;
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: vscode.Uri.file(
+        path.join(folder ? folder.uri.fsPath : os.homedir(), name)
+      ),
+      filters: { "JSON Lines": ["jsonl"] },
+      saveLabel: "Export Trace",
+    });
+    if (!target) {
+      return;
+    }
+
+    const lines = [
+      {
+        type: "meta",
+        extensionVersion: context.extension.packageJSON.version,
+        vscodeVersion: vscode.version,
+        platform: `${process.platform} ${process.arch}`,
+        exported: new Date().toISOString(),
+      },
+      ...entries.map((entry) => redact(exportedMessage(entry))),
+    ];
+    try {
+      fs.writeFileSync(
+        target.fsPath,
+        `${lines.map((line) => JSON.stringify(line)).join("\n")}\n`
+      );
+    } catch (err) {
+      vscode.window.showErrorMessage(
+        `Axe: could not export the trace: ${err.message}`
+      );
+      return;
+    }
+    outputChannel.appendLine(
+      `✓ Exported ${entries.length} LSP messages to ${target.fsPath}`
+    );
+    const choice = await vscode.window.showInformationMessage(
+      `Axe: exported ${entries.length} messages. Document text, edits, results made from your code, diagnostics and server log messages were removed, and your home folder replaced with ~.`,
+      "Open File"
+    );
+    if (choice === "Open File") {
+      vscode.window.showTextDocument(target);
+    }
+  }
+
+  function handleWebviewMessage(message) {
+    switch (message.type) {
+      case "ready":
+        post({
+          type: "reset",
+          entries: entries.map(summary),
+          oldest: entries.length > 0 ? entries[0].seq : nextSeq,
+        });
+        break;
+      case "select": {
+        const entry = entries.find((e) => e.seq === message.seq);
+        post({
+          type: "payload",
+          seq: message.seq,
+          text: entry
+            ? JSON.stringify(
+                { params: entry.params, ...entry.response },
+                null,
+                2
+              )
+            : "This message is no longer recorded.",
+        });
+        break;
+      }
+      case "clear":
+        clear();
+        break;
+      case "export":
+        exportTrace();
+        break;
+    }
+  }
+
+  function openInspector() {
+    if (panel) {
+      panel.reveal();
+      return;
+    }
+    panel = vscode.window.createWebviewPanel(
+      "axeLspInspector",
+      "Axe LSP Inspector",
+      vscode.ViewColumn.Active,
+      { enableScripts: true }
+    );
+    panel.webview.html = inspectorHtml(crypto.randomBytes(16).toString("hex"));
+    panel.webview.onDidReceiveMessage(handleWebviewMessage);
+    panel.onDidDispose(() => {
+      panel = undefined;
+      clearTimeout(flushTimer);
+      flushTimer = undefined;
+      changed = new Set();
+    });
+  }
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("axe.lsp.openInspector", openInspector),
+    vscode.commands.registerCommand("axe.lsp.exportTrace", exportTrace),
+    { dispose: () => panel && panel.dispose() }
+  );
+
+  return {
+    /**
+     * Message transports over the stdio of the server `child` serving
+     * the workspace `folder` (undefined for files outside all folders),
+     * recording what passes through them
+     */
+    transports(folder, child) {
+      const folderKey = folder ? folder.uri.toString() : "";
+      const label = folder ? folder.name : "(no folder)";
+      const reader = new StreamMessageReader(child.stdout);
+      const writer = new StreamMessageWriter(child.stdin);
+      return {
+        reader: {
+          onError: reader.onError,
+          onClose: reader.onClose,
+          onPartialMessage: reader.onPartialMessage,
+          listen: (callback) =>
+            reader.listen((message) => {
+              record(folderKey, label, "receive", message);
+              callback(message);
+            }),
+          dispose: () => reader.dispose(),
+        },
+        writer: {
+          onError: writer.onError,
+          onClose: writer.onClose,
+          write: (message) => {
+            record(folderKey, label, "send", message);
+            return writer.write(message);
+          },
+          end: () => writer.end(),
+          dispose: () => writer.dispose(),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * The inspector webview: a filterable list of messages and the payload of
+ * the selected one
+ */
+function inspectorHtml(nonce) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<style nonce="${nonce}">
+  body { padding: 0; margin: 0; display: flex; flex-direction: column; height: 100vh; font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+  header { display: flex; gap: 6px; padding: 6px; border-bottom: 1px solid var(--vscode-panel-border); }
+  input { flex: 1; background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 3px 6px; }
+  button { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border: none; padding: 3px 10px; cursor: pointer; }
+  button:hover { background: var(--vscode-button-secondaryHoverBackground); }
+  #list { flex: 1; overflow: auto; }
+  table { width: 100%; border-collapse: collapse; font-family: var(--vscode-editor-font-family); font-size: var(--vscode-editor-font-size); }
+  th { position: sticky; top: 0; text-align: left; background: var(--vscode-editor-background); font-weight: normal; opacity: 0.7; }
+  th, td { padding: 2px 8px; white-space: nowrap; }
+  tr.entry { cursor: pointer; }
+  tr.entry:hover { background: var(--vscode-list-hoverBackground); }
+  tr.selected { background: var(--vscode-list-activeSelectionBackground); color: var(--vscode-list-activeSelectionForeground); }
+  .error { color: var(--vscode-errorForeground); }
+  .duration { text-align: right; }
+  pre { flex: 0 0 40%; margin: 0; padding: 6px; overflow: auto; border-top: 1px solid var(--vscode-panel-border); font-family: var(--vscode-editor-font-family); font-size: var(--vscode-editor-font-size); }
+</style>
+</head>
+<body>
+<header>
+  <input id="filter" type="text" placeholder="Filter by method, e.g. textDocument/ or !publishDiagnostics">
+  <button id="clear">Clear</button>
+  <button id="export">Export Trace</button>
+</header>
+<div id="list">
+  <table>
+    <thead><tr><th>Time</th><th>Folder</th><th>Direction</th><th>Kind</th><th>Method</th><th class="duration">Duration</th></tr></thead>
+    <tbody id="rows"></tbody>
+  </table>
+</div>
+<pre id="payload">Select a message to see its payload.</pre>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  const entries = new Map();
+  const rows = document.getElementById("rows");
+  const filter = document.getElementById("filter");
+  const payload = document.getElementById("payload");
+  let selected;
+
+  filter.value = (vscode.getState() || {}).filter || "";
+
+  function matches(entry) {
+    const text = filter.value.trim().toLowerCase();
+    if (!text) {
+      return true;
+    }
+    const method = (entry.method || "").toLowerCase();
+    return text.startsWith("!") ? !method.includes(text.slice(1)) : method.includes(text);
+  }
+
+  function cells(entry) {
+    const arrow = entry.direction === "send" ? "→ server" : "← server";
+    const duration = entry.kind !== "request" ? "" : entry.status === "pending" ? "…" : entry.duration + " ms";
+    return [entry.time, entry.folder, arrow, entry.kind, entry.method, duration];
+  }
+
+  function render(entry) {
+    let row = document.getElementById("entry-" + entry.seq);
+    if (!row) {
+      row = document.createElement("tr");
+      row.id = "entry-" + entry.seq;
+      row.className = "entry";
+      row.addEventListener("click", () => select(entry.seq));
+      rows.appendChild(row);
+    }
+    row.replaceChildren(...cells(entry).map((text, i) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      if (i === 5) {
+        cell.className = "duration";
+      }
+      return cell;
+    }));
+    row.classList.toggle("error", entry.status === "error");
+    row.classList.toggle("selected", entry.seq === selected);
+    row.hidden = !matches(entry);
+  }
+
+  function select(seq) {
+    const previous = document.getElementById("entry-" + selected);
+    if (previous) {
+      previous.classList.remove("selected");
+    }
+    selected = seq;
+    document.getElementById("entry-" + seq).classList.add("selected");
+    payload.textContent = "Loading…";
+    vscode.postMessage({ type: "select", seq });
+  }
+
+  function applyFilter() {
+    vscode.setState({ filter: filter.value });
+    for (const entry of entries.values()) {
+      document.getElementById("entry-" + entry.seq).hidden = !matches(entry);
+    }
+  }
+
+  window.addEventListener("message", (event) => {
+    const message = event.data;
+    if (message.type === "reset") {
+      entries.clear();
+      rows.replaceChildren();
+      selected = undefined;
+      payload.textContent = "Select a message to see its payload.";
+    }
+    if (message.type === "reset" || message.type === "upsert") {
+      const list = document.getElementById("list");
+      const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+      for (const entry of message.entries) {
+        entries.set(entry.seq, entry);
+        render(entry);
+      }
+      // Drop rows for messages the extension no longer keeps
+      for (const seq of [...entries.keys()].filter((seq) => seq < message.oldest)) {
+        entries.delete(seq);
+        document.getElementById("entry-" + seq).remove();
+      }
+      if (atBottom) {
+        list.scrollTop = list.scrollHeight;
+      }
+    } else if (message.type === "payload" && message.seq === selected) {
+      payload.textContent = message.text;
+    }
+  });
+
+  filter.addEventListener("input", applyFilter);
+  document.getElementById("clear").addEventListener("click", () => vscode.postMessage({ type: "clear" }));
+  document.getElementById("export").addEventListener("click", () => vscode.postMessage({ type: "export" }));
+  vscode.postMessage({ type: "ready" });
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  createInspector,
+};
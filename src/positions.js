@@ -0,0 +1,25 @@
+const vscode = require("vscode");
+
+/**
+ * Map character offsets in `text` to positions, for text that is not open
+ * as a document
+ */
+function createPositionAt(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  return (offset) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) {
+      line--;
+    }
+    return new vscode.Position(line, offset - lineStarts[line]);
+  };
+}
+
+module.exports = {
+  createPositionAt,
+};
@@ -0,0 +1,576 @@
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { pipeline } = require("stream/promises");
+const { pathToFileURL, fileURLToPath } = require("url");
+
+const userAgent = "axe-vscode-extension";
+const defaultApiBase = "https://api.github.com";
+const repositoryOwner = "axelang";
+const manifestName = "manifest.json";
+const archivePattern = /\.(zip|tar|tar\.gz|tgz)$/i;
+const maxRedirects = 5;
+
+const checksumAssetNames = ["SHA256SUMS", "sha256sums.txt", "checksums.txt"];
+
+/**
+ * Name of the axels binary for this platform
+ */
+function serverBinaryName() {
+  return process.platform === "win32" ? "axels.exe" : "axels";
+}
+
+/**
+ * Whether `hostname` is listed in the no-proxy hosts
+ */
+function bypassesProxy(hostname, noProxy = []) {
+  return noProxy.some((entry) => {
+    const host = entry.trim().replace(/^\*?\./, "");
+    return host && (hostname === host || hostname.endsWith(`.${host}`));
+  });
+}
+
+/**
+ * Fail a request or response if its connection is idle for
+ * `network.timeout` ms
+ */
+function applyTimeout(stream, network, host) {
+  if (network.timeout) {
+    stream.setTimeout(network.timeout, () =>
+      stream.destroy(
+        new Error(
+          `No response from ${host} for ${network.timeout / 1000}s; giving up`
+        )
+      )
+    );
+  }
+  return stream;
+}
+
+/**
+ * Open a tunnel to `target` through an HTTP proxy with CONNECT
+ */
+function connectTunnel(proxy, target, network, signal) {
+  return new Promise((resolve, reject) => {
+    const headers = { Host: `${target.hostname}:${target.port || 443}` };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["Proxy-Authorization"] =
+        `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+
+    const request = http.request({
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      method: "CONNECT",
+      path: headers.Host,
+      headers,
+      signal,
+    });
+    applyTimeout(request, network, proxy.host)
+      .on("connect", (res, socket) => {
+        if (res.statusCode === 200) {
+          resolve(socket);
+        } else {
+          socket.destroy();
+          reject(new Error(`Proxy CONNECT returned ${res.statusCode}`));
+        }
+      })
+      .on("error", reject)
+      .end();
+  });
+}
+
+/**
+ * Send a GET request, honouring the proxy, CA and timeout settings in
+ * `network`, and resolve to the response once redirects have been followed.
+ * `signal` aborts the request.
+ */
+async function openUrl(url, network = {}, signal, redirects = 0) {
+  const target = new URL(url);
+  const proxy =
+    network.proxy && !bypassesProxy(target.hostname, network.noProxy)
+      ? new URL(network.proxy)
+      : undefined;
+  const options = { headers: { "User-Agent": userAgent }, signal };
+
+  let transport;
+  if (target.protocol === "https:") {
+    transport = https;
+    options.ca = network.ca;
+    options.rejectUnauthorized = network.strictSSL !== false;
+    if (proxy) {
+      const socket = await connectTunnel(proxy, target, network, signal);
+      options.createConnection = () =>
+        tls.connect({
+          socket,
+          servername: target.hostname,
+          ca: options.ca,
+          rejectUnauthorized: options.rejectUnauthorized,
+        });
+    }
+  } else if (target.protocol === "http:") {
+    transport = http;
+    if (proxy) {
+      options.host = proxy.hostname;
+      options.port = proxy.port || 80;
+      options.path = target.href;
+      options.headers.Host = target.host;
+    }
+  } else {
+    throw new Error(`Unsupported URL: ${url}`);
+  }
+
+  const response = await new Promise((resolve, reject) => {
+    const request =
+      proxy && transport === http
+        ? transport.get(options, resolve)
+        : transport.get(target, options, resolve);
+    applyTimeout(request, network, target.host).on("error", reject);
+  });
+
+  if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+    response.resume();
+    if (!response.headers.location) {
+      throw new Error(`Redirect without a location fetching ${url}`);
+    }
+    if (redirects >= maxRedirects) {
+      throw new Error(`Too many redirects fetching ${url}`);
+    }
+    const location = new URL(response.headers.location, target).href;
+    return openUrl(location, network, signal, redirects + 1);
+  }
+  return response;
+}
+
+/**
+ * Stream the body of `url` into `file`, reporting progress as it arrives
+ */
+async function fetchToFile(url, file, network, { signal, onProgress }) {
+  const response = await openUrl(url, network, signal);
+  if (response.statusCode !== 200) {
+    response.resume();
+    throw new Error(`Failed to download: ${response.statusCode}`);
+  }
+
+  applyTimeout(response, network, new URL(url).host);
+  const total = Number(response.headers["content-length"]) || undefined;
+  let received = 0;
+  await pipeline(
+    response,
+    async function* (chunks) {
+      for await (const chunk of chunks) {
+        received += chunk.length;
+        if (onProgress) {
+          onProgress(received, total);
+        }
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(file),
+    { signal }
+  );
+  if (total !== undefined && received < total) {
+    throw new Error(
+      `Download of ${url} ended after ${received} of ${total} bytes`
+    );
+  }
+}
+
+/**
+ * Download a file from a URL into `dest`. The data goes to a temporary file
+ * next to `dest` that replaces it only once the download succeeds, so a
+ * failed or cancelled download leaves any previous file in place.
+ *
+ * `options.signal` cancels the download and `options.onProgress(received,
+ * total)` reports its progress (`total` is undefined when the server sends
+ * no length). `options.verify(tempFile)` can reject the download before it
+ * is installed, and `options.beforeInstall()` runs just before `dest` is
+ * replaced, e.g. to stop a program running from it.
+ */
+async function downloadFile(url, dest, network = {}, options = {}) {
+  const temp = path.join(
+    path.dirname(dest),
+    `.${path.basename(dest)}.${process.pid}.download`
+  );
+  try {
+    if (url.startsWith("file:")) {
+      fs.copyFileSync(new URL(url), temp);
+    } else {
+      await fetchToFile(url, temp, network, options);
+    }
+    if (options.verify) {
+      await options.verify(temp);
+    }
+    if (options.beforeInstall) {
+      await options.beforeInstall();
+    }
+    fs.renameSync(temp, dest);
+  } finally {
+    fs.rmSync(temp, { force: true });
+  }
+}
+
+/**
+ * Fetch a small text resource
+ */
+async function fetchText(url, network) {
+  if (url.startsWith("file:")) {
+    return fs.readFileSync(new URL(url), "utf8");
+  }
+
+  const response = await openUrl(url, network);
+  let data = "";
+  response.setEncoding("utf8");
+  for await (const chunk of response) {
+    data += chunk;
+  }
+  if (response.statusCode !== 200) {
+    const error = new Error(`Failed to fetch ${url}: ${response.statusCode}`);
+    error.statusCode = response.statusCode;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Work out what kind of release source `axe.lsp.releaseSource` names:
+ * GitHub (the default), a GitHub-compatible API, an HTTP directory holding a
+ * manifest.json, or a local folder or archive
+ */
+function parseReleaseSource(source) {
+  const value = (source || "").trim();
+  if (!value) {
+    return { kind: "github", apiBase: defaultApiBase };
+  }
+
+  if (/^https?:\/\//i.test(value)) {
+    const url = new URL(value);
+    if (url.pathname.endsWith(".json")) {
+      return { kind: "manifest", manifestUrl: url.href };
+    }
+    const base = url.href.replace(/\/+$/, "");
+    if (url.hostname.startsWith("api.") || url.pathname.includes("/api/")) {
+      return { kind: "github", apiBase: base };
+    }
+    return { kind: "manifest", manifestUrl: `${base}/${manifestName}` };
+  }
+
+  const localPath = value.startsWith("file:")
+    ? fileURLToPath(value)
+    : value.replace(/^~(?=$|[\\/])/, os.homedir());
+  return { kind: "local", path: path.resolve(localPath) };
+}
+
+/**
+ * Pick a release out of a manifest and resolve its asset URLs. A manifest
+ * lists releases newest first, in the shape of the GitHub releases API:
+ * `{ "releases": [{ "tag_name", "assets": [{ "name", "browser_download_url" }] }] }`
+ * where download URLs may be relative to the manifest.
+ */
+function selectManifestRelease(
+  manifest,
+  manifestUrl,
+  version,
+  repository = "axels"
+) {
+  const releases = Array.isArray(manifest.releases) ? manifest.releases : [];
+  const release =
+    !version || version === "latest"
+      ? releases[0]
+      : releases.find((r) => r.tag_name === version);
+  if (!release) {
+    throw new Error(
+      !version || version === "latest"
+        ? `Release manifest ${manifestUrl} lists no releases`
+        : `No ${repository} release tagged ${version}`
+    );
+  }
+
+  return {
+    ...release,
+    assets: (release.assets || []).map((asset) => ({
+      ...asset,
+      browser_download_url: new URL(
+        asset.browser_download_url || asset.name,
+        manifestUrl
+      ).href,
+    })),
+  };
+}
+
+/**
+ * Unpack a release archive into a new temporary folder with the system `tar`
+ * (which also reads zip files on Windows and macOS). The caller removes the
+ * folder once it has copied what it needs.
+ */
+function extractArchive(archive) {
+  const dest = fs.mkdtempSync(path.join(os.tmpdir(), "axe-release-"));
+
+  return new Promise((resolve, reject) => {
+    execFile("tar", ["-xf", archive, "-C", dest], (err) => {
+      if (err) {
+        fs.rmSync(dest, { recursive: true, force: true });
+        reject(new Error(`Failed to extract ${archive}: ${err.message}`));
+      } else {
+        resolve(dest);
+      }
+    });
+  });
+}
+
+/**
+ * Remove the folder that a release read from an archive was unpacked into.
+ * Does nothing for other releases.
+ */
+function disposeRelease(release) {
+  if (release && release.extractedPath) {
+    fs.rmSync(release.extractedPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read a release from a local folder or archive. A folder either holds a
+ * manifest.json, or is itself one release whose files are its assets and
+ * whose tag is read from a VERSION file. An archive is unpacked into a
+ * temporary folder that its assets are read from, recorded as
+ * `extractedPath` for `disposeRelease`.
+ */
+async function getLocalRelease(location, version, repository = "axels") {
+  if (!fs.existsSync(location)) {
+    throw new Error(`Release source not found: ${location}`);
+  }
+  if (!fs.statSync(location).isFile()) {
+    return readLocalRelease(location, location, version, repository);
+  }
+  if (!archivePattern.test(location)) {
+    throw new Error(`Release source is not a folder or archive: ${location}`);
+  }
+
+  const extractedPath = await extractArchive(location);
+  try {
+    return {
+      ...readLocalRelease(location, extractedPath, version, repository),
+      extractedPath,
+    };
+  } catch (err) {
+    fs.rmSync(extractedPath, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/**
+ * Read the release in `folder`, the contents of the release source
+ * `location`
+ */
+function readLocalRelease(location, folder, version, repository) {
+  const manifestPath = path.join(folder, manifestName);
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    return selectManifestRelease(
+      manifest,
+      pathToFileURL(manifestPath).href,
+      version,
+      repository
+    );
+  }
+
+  const versionPath = path.join(folder, "VERSION");
+  const tag = fs.existsSync(versionPath)
+    ? fs.readFileSync(versionPath, "utf8").trim()
+    : path.basename(location);
+  if (version && version !== "latest" && version !== tag) {
+    throw new Error(
+      `No ${repository} release tagged ${version} in ${location}`
+    );
+  }
+
+  return {
+    tag_name: tag,
+    assets: fs
+      .readdirSync(folder)
+      .filter((name) => fs.statSync(path.join(folder, name)).isFile())
+      .map((name) => ({
+        name,
+        browser_download_url: pathToFileURL(path.join(folder, name)).href,
+      })),
+  };
+}
+
+/**
+ * Fetch release info from the configured release source: the latest
+ * release, or the one tagged `version`. `repository` names the GitHub
+ * repository under axelang that publishes it. Pass the release to
+ * `disposeRelease` once its assets are downloaded.
+ */
+async function getRelease(version, source, network, repository = "axels") {
+  const releaseSource = parseReleaseSource(source);
+  const repositoryPath = `/repos/${repositoryOwner}/${repository}`;
+
+  if (releaseSource.kind === "local") {
+    return getLocalRelease(releaseSource.path, version, repository);
+  }
+
+  if (releaseSource.kind === "manifest") {
+    const manifest = JSON.parse(
+      await fetchText(releaseSource.manifestUrl, network)
+    );
+    return selectManifestRelease(
+      manifest,
+      releaseSource.manifestUrl,
+      version,
+      repository
+    );
+  }
+
+  const releasePath =
+    !version || version === "latest"
+      ? `${repositoryPath}/releases/latest`
+      : `${repositoryPath}/releases/tags/${encodeURIComponent(version)}`;
+  try {
+    return JSON.parse(
+      await fetchText(`${releaseSource.apiBase}${releasePath}`, network)
+    );
+  } catch (err) {
+    if (err.statusCode === 404 && releasePath.includes("/tags/")) {
+      throw new Error(`No ${repository} release tagged ${version}`);
+    }
+    if (err.statusCode) {
+      throw new Error(`GitHub API returned ${err.statusCode}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * List the releases of the configured release source, newest first
+ */
+async function listReleases(source, network, repository = "axels") {
+  const releaseSource = parseReleaseSource(source);
+  const repositoryPath = `/repos/${repositoryOwner}/${repository}`;
+
+  if (releaseSource.kind === "local") {
+    const manifestPath = path.join(releaseSource.path, manifestName);
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+      return Array.isArray(manifest.releases) ? manifest.releases : [];
+    }
+    const release = await getLocalRelease(
+      releaseSource.path,
+      undefined,
+      repository
+    );
+    // Only the tag is listed, as the files unpacked from an archive are
+    // removed here
+    disposeRelease(release);
+    return [{ tag_name: release.tag_name }];
+  }
+
+  if (releaseSource.kind === "manifest") {
+    const manifest = JSON.parse(
+      await fetchText(releaseSource.manifestUrl, network)
+    );
+    return Array.isArray(manifest.releases) ? manifest.releases : [];
+  }
+
+  try {
+    const releases = JSON.parse(
+      await fetchText(
+        `${releaseSource.apiBase}${repositoryPath}/releases?per_page=30`,
+        network
+      )
+    );
+    return releases.filter((release) => !release.draft);
+  } catch (err) {
+    if (err.statusCode) {
+      throw new Error(`GitHub API returned ${err.statusCode}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Compute the SHA-256 of a file as a hex string
+ */
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Look up the published SHA-256 of `assetName` in the release's checksum
+ * assets, either `<asset>.sha256` or a `sha256sum`-style list
+ */
+async function getExpectedChecksum(release, assetName, network) {
+  const ownAsset = release.assets.find((a) => a.name === `${assetName}.sha256`);
+  if (ownAsset) {
+    const text = await fetchText(ownAsset.browser_download_url, network);
+    const match = /\b[0-9a-f]{64}\b/i.exec(text);
+    if (match) {
+      return match[0].toLowerCase();
+    }
+  }
+
+  for (const name of checksumAssetNames) {
+    const listAsset = release.assets.find((a) => a.name === name);
+    if (!listAsset) {
+      continue;
+    }
+    const text = await fetchText(listAsset.browser_download_url, network);
+    for (const line of text.split(/\r?\n/)) {
+      const match = /^([0-9a-f]{64})\s+\*?(.+)$/i.exec(line.trim());
+      if (match && match[2].trim() === assetName) {
+        return match[1].toLowerCase();
+      }
+    }
+  }
+
+  throw new Error(
+    `Release ${release.tag_name} publishes no SHA-256 checksum for ${assetName}`
+  );
+}
+
+/**
+ * Check a downloaded asset against the release's checksum. The file is
+ * deleted if it does not match. Resolves to the verified hash.
+ */
+async function verifyChecksum(release, assetName, file, network) {
+  let expected;
+  try {
+    expected = await getExpectedChecksum(release, assetName, network);
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  }
+
+  const actual = await sha256File(file);
+  if (actual !== expected) {
+    fs.rmSync(file, { force: true });
+    throw new Error(
+      `Checksum mismatch for ${assetName}: expected ${expected}, got ${actual}`
+    );
+  }
+  return actual;
+}
+
+module.exports = {
+  serverBinaryName,
+  parseReleaseSource,
+  downloadFile,
+  extractArchive,
+  disposeRelease,
+  getRelease,
+  listReleases,
+  sha256File,
+  verifyChecksum,
+};
@@ -0,0 +1,236 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const templateManifest = "template.json";
+const namePattern = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Read the template in `dir`, or undefined if it is not one. A template is a
+ * folder of plain files plus a template.json giving its `name`,
+ * `description` and `entry` file. `{{name}}` in file contents and
+ * `__name__` in file names are replaced with the project name.
+ */
+function readTemplate(dir, source) {
+  const manifestPath = path.join(dir, templateManifest);
+  if (!fs.existsSync(manifestPath)) {
+    return undefined;
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  return {
+    name: manifest.name || path.basename(dir),
+    description: manifest.description || "",
+    entry: manifest.entry || "main.axe",
+    dir,
+    source,
+  };
+}
+
+/**
+ * The templates shipped with the extension, then those in the folders listed
+ * in `axe.templates.paths`. Each listed folder is a template itself or holds
+ * templates in its subfolders.
+ */
+function findTemplates(context, outputChannel) {
+  const builtIn = path.join(context.extensionPath, "templates");
+  const roots = [
+    { dir: builtIn, source: "built-in" },
+    ...vscode.workspace
+      .getConfiguration("axe.templates")
+      .get("paths", [])
+      .map((dir) => ({
+        dir: dir.replace(/^~(?=$|[\\/])/, os.homedir()),
+        source: dir,
+      })),
+  ];
+
+  const templates = [];
+  for (const root of roots) {
+    try {
+      const own = readTemplate(root.dir, root.source);
+      if (own) {
+        templates.push(own);
+        continue;
+      }
+      for (const entry of fs.readdirSync(root.dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          const template = readTemplate(
+            path.join(root.dir, entry.name),
+            root.source
+          );
+          if (template) {
+            templates.push(template);
+          }
+        }
+      }
+    } catch (err) {
+      outputChannel.appendLine(
+        `Could not read Axe templates in ${root.dir}: ${err.message}`
+      );
+    }
+  }
+  return templates;
+}
+
+/**
+ * Copy a template's files into `dest`, filling in the project name
+ */
+function copyTemplate(srcDir, dest, name) {
+  fs.mkdirSync(dest, { recursive: true });
+  for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+    if (entry.name === templateManifest) {
+      continue;
+    }
+    const src = path.join(srcDir, entry.name);
+    const target = path.join(dest, entry.name.replace(/__name__/g, name));
+    if (entry.isDirectory()) {
+      copyTemplate(src, target, name);
+    } else {
+      const content = fs.readFileSync(src, "utf8");
+      fs.writeFileSync(target, content.replace(/\{\{name\}\}/g, name));
+    }
+  }
+}
+
+/**
+ * Merge `values` into the JSON file at `file`, creating it if needed
+ */
+function mergeJsonFile(file, values) {
+  let existing = {};
+  if (fs.existsSync(file)) {
+    existing = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    `${JSON.stringify({ ...existing, ...values }, null, 2)}\n`
+  );
+}
+
+/**
+ * Write the workspace settings and build task of a new project
+ */
+function writeWorkspaceFiles(projectDir, name, entry, stdlib) {
+  const vscodeDir = path.join(projectDir, ".vscode");
+  if (stdlib) {
+    mergeJsonFile(path.join(vscodeDir, "settings.json"), {
+      "axe.lsp.stdlibPath": stdlib.path,
+    });
+  }
+
+  const tasksPath = path.join(vscodeDir, "tasks.json");
+  if (!fs.existsSync(tasksPath)) {
+    mergeJsonFile(tasksPath, {
+      version: "2.0.0",
+      tasks: [
+        {
+          type: "axe",
+          command: "build",
+          file: entry,
+          label: `build ${name}`,
+          group: { kind: "build", isDefault: true },
+          problemMatcher: ["$axe"],
+        },
+        {
+          type: "axe",
+          command: "run",
+          file: entry,
+          label: `run ${name}`,
+          problemMatcher: ["$axe"],
+        },
+      ],
+    });
+  }
+}
+
+/**
+ * Register "Axe: New Project". `resolveStdlib` returns the stdlib the new
+ * project's settings should point at.
+ */
+function registerNewProjectCommand(context, outputChannel, resolveStdlib) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand("axe.newProject", async () => {
+      const templates = findTemplates(context, outputChannel);
+      if (templates.length === 0) {
+        vscode.window.showErrorMessage("Axe: no project templates found.");
+        return;
+      }
+
+      const picked = await vscode.window.showQuickPick(
+        templates.map((template) => ({
+          label: template.name,
+          description:
+            template.source === "built-in" ? undefined : template.source,
+          detail: template.description,
+          template,
+        })),
+        { placeHolder: "Select a template for the new Axe project" }
+      );
+      if (!picked) {
+        return;
+      }
+
+      const parents = await vscode.window.showOpenDialog({
+        canSelectFiles: false,
+        canSelectFolders: true,
+        canSelectMany: false,
+        openLabel: "Create Project Here",
+      });
+      if (!parents || parents.length === 0) {
+        return;
+      }
+      const parentDir = parents[0].fsPath;
+
+      const name = await vscode.window.showInputBox({
+        prompt: `Name of the new project in ${parentDir}`,
+        placeHolder: "my_project",
+        validateInput(value) {
+          if (!namePattern.test(value)) {
+            return "Use letters, digits and underscores, not starting with a digit.";
+          }
+          if (fs.existsSync(path.join(parentDir, value))) {
+            return `${value} already exists in ${parentDir}.`;
+          }
+          return undefined;
+        },
+      });
+      if (!name) {
+        return;
+      }
+
+      const projectDir = path.join(parentDir, name);
+      const stdlib = resolveStdlib();
+      try {
+        copyTemplate(picked.template.dir, projectDir, name);
+        writeWorkspaceFiles(projectDir, name, picked.template.entry, stdlib);
+      } catch (err) {
+        outputChannel.appendLine(`✗ Could not create project: ${err}`);
+        vscode.window.showErrorMessage(
+          `Axe: could not create the project: ${err.message}`
+        );
+        return;
+      }
+
+      outputChannel.appendLine(
+        `✓ Created ${picked.template.name} project in ${projectDir}`
+      );
+      if (!stdlib) {
+        vscode.window.showWarningMessage(
+          "Axe: no standard library was found, so `axe.lsp.stdlibPath` was not set for the new project."
+        );
+      }
+
+      const hasFolders = (vscode.workspace.workspaceFolders || []).length > 0;
+      await vscode.commands.executeCommand(
+        "vscode.openFolder",
+        vscode.Uri.file(projectDir),
+        { forceNewWindow: hasFolders }
+      );
+    })
+  );
+}
+
+module.exports = {
+  registerNewProjectCommand,
+};
@@ -0,0 +1,84 @@
+const vscode = require("vscode");
+
+/**
+ * Setting sections the server reads. Changes to them are sent to the server
+ * as they happen, so it can be tuned without a restart.
+ */
+const serverSettingSections = [
+  "axe.inlayHints",
+  "axe.diagnostics",
+  "axe.lint",
+  "axe.completion",
+];
+
+/**
+ * The server settings for a folder (or the workspace when `scope` is
+ * undefined), shaped as the server reads them under the `axe` section
+ */
+function serverSettings(scope) {
+  const config = vscode.workspace.getConfiguration("axe", scope);
+  return {
+    inlayHints: {
+      enabled: config.get("inlayHints.enabled", true),
+      parameterNames: config.get("inlayHints.parameterNames", true),
+      variableTypes: config.get("inlayHints.variableTypes", true),
+    },
+    diagnostics: {
+      severityOverrides: config.get("diagnostics.severityOverrides", {}),
+    },
+    lint: {
+      rules: config.get("lint.rules", {}),
+    },
+    completion: {
+      style: config.get("completion.style", "snippet"),
+    },
+  };
+}
+
+/**
+ * Look up a dotted `section` such as `axe.lint.rules` in the server
+ * settings; undefined if it is not one of them
+ */
+function lookupSection(section, scope) {
+  if (section === "axe") {
+    return serverSettings(scope);
+  }
+  if (!section || !section.startsWith("axe.")) {
+    return undefined;
+  }
+  return section
+    .slice("axe.".length)
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== undefined && value !== null ? value[key] : undefined,
+      serverSettings(scope)
+    );
+}
+
+/**
+ * `workspace/configuration` middleware for a folder's client. Requests for
+ * the `axe` settings are answered from the folder the server asks about, or
+ * the client's own folder; anything else is left to the default handler.
+ */
+function configurationMiddleware(folder) {
+  return async (params, token, next) => {
+    const defaults = await next(params, token);
+    if (!Array.isArray(defaults)) {
+      return defaults;
+    }
+    return params.items.map((item, i) => {
+      const scope = item.scopeUri
+        ? vscode.Uri.parse(item.scopeUri)
+        : folder && folder.uri;
+      const value = lookupSection(item.section, scope);
+      return value === undefined ? defaults[i] : value;
+    });
+  };
+}
+
+module.exports = {
+  serverSettingSections,
+  serverSettings,
+  configurationMiddleware,
+};
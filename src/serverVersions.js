@@ -0,0 +1,388 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { serverBinaryName } = require("./releases");
+
+const activeServerKey = "axe.lsp.activeServer";
+const previousServerKey = "axe.lsp.previousServer";
+// Where the single downloaded binary was recorded before versioned folders
+const legacyServerKey = "axe.lsp.installedServer";
+const installInfoName = "install.json";
+
+/**
+ * Folder in global storage that holds one folder per downloaded axels
+ * version
+ */
+function serversDirectory(context) {
+  return path.join(context.globalStorageUri.fsPath, "servers");
+}
+
+/**
+ * A release tag made safe to use as a folder name
+ */
+function versionFolderName(version) {
+  return version.replace(/[^A-Za-z0-9._-]/g, "_");
+}
+
+/**
+ * Folder that holds the axels release tagged `version`
+ */
+function versionDirectory(context, version) {
+  return path.join(serversDirectory(context), versionFolderName(version));
+}
+
+/**
+ * Record what was installed in a version folder
+ */
+function writeInstallInfo(dir, info) {
+  fs.writeFileSync(
+    path.join(dir, installInfoName),
+    `${JSON.stringify(info, null, 2)}\n`
+  );
+}
+
+/**
+ * Read the axels installed in `dir`, or undefined if it holds none
+ */
+function readInstall(dir) {
+  const binary = path.join(dir, serverBinaryName());
+  if (!fs.existsSync(binary)) {
+    return undefined;
+  }
+  let info = {};
+  try {
+    info = JSON.parse(fs.readFileSync(path.join(dir, installInfoName), "utf8"));
+  } catch (err) {
+    // Installed without a record; the folder name is the version.
+  }
+  return {
+    version: info.version || path.basename(dir),
+    sha256: info.sha256,
+    installedAt: info.installedAt || "",
+    path: binary,
+    dir,
+  };
+}
+
+/**
+ * The downloaded axels versions, most recently installed first
+ */
+function installedServers(context) {
+  const dir = serversDirectory(context);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => readInstall(path.join(dir, entry.name)))
+    .filter(Boolean)
+    .sort((a, b) => b.installedAt.localeCompare(a.installedAt));
+}
+
+/**
+ * The downloaded axels tagged `version`, if it is installed
+ */
+function findInstalledServer(context, version) {
+  return installedServers(context).find((server) => server.version === version);
+}
+
+/**
+ * The downloaded axels that the `latest` setting runs: the one last
+ * selected, or else the most recently installed
+ */
+function activeServer(context) {
+  const installed = installedServers(context);
+  const active = context.globalState.get(activeServerKey);
+  return installed.find((server) => server.version === active) || installed[0];
+}
+
+/**
+ * Make `version` the active axels, remembering the one it replaces for a
+ * roll back
+ */
+async function setActiveServer(context, version) {
+  const current = activeServer(context);
+  if (current && current.version !== version) {
+    await context.globalState.update(previousServerKey, current.version);
+  }
+  await context.globalState.update(activeServerKey, version);
+}
+
+/**
+ * Move a binary downloaded by an older version of the extension, which kept
+ * a single axels at the top of global storage, into a version folder
+ */
+async function migrateLegacyServer(context, outputChannel) {
+  const legacyPath = path.join(
+    context.globalStorageUri.fsPath,
+    serverBinaryName()
+  );
+  if (!fs.existsSync(legacyPath)) {
+    return;
+  }
+
+  const legacy = context.globalState.get(legacyServerKey) || {};
+  const version = legacy.version || "unknown";
+  const dir = versionDirectory(context, version);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.renameSync(legacyPath, path.join(dir, serverBinaryName()));
+    writeInstallInfo(dir, {
+      version,
+      sha256: legacy.sha256,
+      installedAt: new Date().toISOString(),
+    });
+    await context.globalState.update(legacyServerKey, undefined);
+    if (!context.globalState.get(activeServerKey)) {
+      await context.globalState.update(activeServerKey, version);
+    }
+    outputChannel.appendLine(`Moved downloaded axels ${version} to ${dir}`);
+  } catch (err) {
+    outputChannel.appendLine(
+      `Could not move downloaded axels to ${dir}: ${err.message}`
+    );
+  }
+}
+
+/**
+ * Register "Axe: Select Language Server Version" and "Axe: Remove Language
+ * Server Versions", and offer a roll back when an update's server fails.
+ *
+ * `hooks.listReleases()` lists the available releases, `hooks.install(version)`
+ * downloads one, `hooks.restart()` restarts the clients,
+ * `hooks.serversInUse()` returns the paths of running servers and
+ * `hooks.overridden()` says whether a server from the settings or PATH runs
+ * instead of the downloaded ones.
+ */
+function registerServerVersions(context, outputChannel, hooks) {
+  // The update made in this session, until its server has been rolled back
+  // or a roll back offered
+  let lastUpdate;
+
+  /**
+   * Run `version` from now on: through `axe.lsp.version` if it pins a
+   * release, and otherwise as the active version
+   */
+  async function switchTo(version) {
+    const config = vscode.workspace.getConfiguration("axe.lsp");
+    const pinned = config.get("version", "latest");
+    await setActiveServer(context, version);
+    lastUpdate = undefined;
+    if (pinned !== "latest" && pinned !== version) {
+      // The settings watcher restarts the server
+      await config.update(
+        "version",
+        version,
+        vscode.ConfigurationTarget.Global
+      );
+      return;
+    }
+    outputChannel.appendLine(`Switching to axels ${version}`);
+    await hooks.restart();
+  }
+
+  async function selectVersion() {
+    const installed = installedServers(context);
+    const active = activeServer(context);
+    const activeVersion = active && active.version;
+    const previous = findInstalledServer(
+      context,
+      context.globalState.get(previousServerKey)
+    );
+
+    const installedItems = [];
+    if (previous && previous.version !== activeVersion) {
+      installedItems.push({
+        label: `$(history) Roll back to ${previous.version}`,
+        version: previous.version,
+        installed: true,
+      });
+    }
+    installedItems.push(
+      { label: "Installed", kind: vscode.QuickPickItemKind.Separator },
+      ...installed.map((server) => ({
+        label:
+          server.version === activeVersion
+            ? `$(check) ${server.version}`
+            : server.version,
+        description: server.version === activeVersion ? "active" : undefined,
+        detail: server.path,
+        version: server.version,
+        installed: true,
+      }))
+    );
+
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.placeholder = "Select the axels version to run";
+    quickPick.items = installedItems;
+    quickPick.busy = true;
+
+    hooks
+      .listReleases()
+      .then((releases) => {
+        const available = releases.filter(
+          (release) =>
+            !installed.some((server) => server.version === release.tag_name)
+        );
+        if (available.length > 0) {
+          quickPick.items = [
+            ...installedItems,
+            { label: "Available", kind: vscode.QuickPickItemKind.Separator },
+            ...available.map((release) => ({
+              label: release.tag_name,
+              description: release.prerelease ? "pre-release" : undefined,
+              detail: release.published_at
+                ? `Published ${release.published_at.slice(0, 10)}`
+                : undefined,
+              version: release.tag_name,
+              installed: false,
+            })),
+          ];
+        }
+      })
+      .catch((err) => {
+        outputChannel.appendLine(
+          `Could not list axels releases: ${err.message}`
+        );
+        quickPick.placeholder = `Select an installed axels version (releases could not be listed: ${err.message})`;
+      })
+      .finally(() => (quickPick.busy = false));
+
+    const picked = await new Promise((resolve) => {
+      quickPick.onDidAccept(() => {
+        resolve(quickPick.selectedItems[0]);
+        quickPick.hide();
+      });
+      quickPick.onDidHide(() => resolve(undefined));
+      quickPick.show();
+    });
+    quickPick.dispose();
+    if (!picked || !picked.version) {
+      return;
+    }
+
+    if (hooks.overridden()) {
+      vscode.window.showWarningMessage(
+        `Axe: axels ${picked.version} is selected, but \`axe.lsp.serverPath\` or the axels on PATH is used instead.`
+      );
+    }
+    try {
+      if (!picked.installed) {
+        await hooks.install(picked.version);
+      }
+      await switchTo(picked.version);
+    } catch (err) {
+      outputChannel.appendLine(
+        `✗ Switching to axels ${picked.version} failed: ${err.message}`
+      );
+      vscode.window.showErrorMessage(
+        `Axe: could not switch to axels ${picked.version}: ${err.message}`
+      );
+    }
+  }
+
+  async function removeVersions() {
+    const inUse = new Set(hooks.serversInUse());
+    const active = activeServer(context);
+    const removable = installedServers(context).filter(
+      (server) =>
+        server.version !== (active && active.version) && !inUse.has(server.path)
+    );
+    if (removable.length === 0) {
+      vscode.window.showInformationMessage(
+        "Axe: no axels versions can be removed; the active version and running servers are kept."
+      );
+      return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+      removable.map((server) => ({
+        label: server.version,
+        detail: server.dir,
+        server,
+      })),
+      { placeHolder: "Select the axels versions to remove", canPickMany: true }
+    );
+    if (!picked || picked.length === 0) {
+      return;
+    }
+
+    for (const { server } of picked) {
+      try {
+        fs.rmSync(server.dir, { recursive: true, force: true });
+        outputChannel.appendLine(`Removed axels ${server.version}`);
+      } catch (err) {
+        outputChannel.appendLine(
+          `✗ Could not remove axels ${server.version}: ${err.message}`
+        );
+      }
+    }
+  }
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("axe.lsp.selectVersion", selectVersion),
+    vscode.commands.registerCommand(
+      "axe.lsp.removeServerVersions",
+      removeVersions
+    )
+  );
+
+  return {
+    /**
+     * Remember that an update replaced `previous` with `current`, so a
+     * roll back can be offered if `current` fails
+     */
+    noteUpdate(previous, current) {
+      lastUpdate =
+        previous && previous.version !== current.version
+          ? { previous, current }
+          : undefined;
+    },
+
+    /**
+     * Offer to go back to the version before the last update if the server
+     * at `serverPath` is the updated one. `problem` says what went wrong.
+     * Never rejects; a failed roll back is reported instead.
+     */
+    async offerRollback(serverPath, problem) {
+      if (!lastUpdate || lastUpdate.current.path !== serverPath) {
+        return;
+      }
+      const { previous, current } = lastUpdate;
+      lastUpdate = undefined;
+      const action = `Roll Back to ${previous.version}`;
+      try {
+        const choice = await vscode.window.showErrorMessage(
+          `Axe LSP ${current.version} ${problem} after the update.`,
+          action
+        );
+        if (choice === action) {
+          outputChannel.appendLine(
+            `Rolling back from axels ${current.version} to ${previous.version}`
+          );
+          await switchTo(previous.version);
+        }
+      } catch (err) {
+        outputChannel.appendLine(
+          `✗ Rolling back to axels ${previous.version} failed: ${err.message || err}`
+        );
+        vscode.window.showErrorMessage(
+          `Axe: could not roll back to axels ${previous.version}: ${err.message || err}`
+        );
+      }
+    },
+  };
+}
+
+module.exports = {
+  versionFolderName,
+  versionDirectory,
+  writeInstallInfo,
+  installedServers,
+  findInstalledServer,
+  activeServer,
+  setActiveServer,
+  migrateLegacyServer,
+  registerServerVersions,
+};
@@ -0,0 +1,151 @@
+const vscode = require("vscode");
+
+const stateIcons = {
+  Starting: "$(sync~spin)",
+  Running: "$(check)",
+  Stopped: "$(circle-slash)",
+  Crashed: "$(error)",
+  Limited: "$(warning)",
+};
+
+const stateBackgrounds = {
+  Crashed: "statusBarItem.errorBackground",
+  Limited: "statusBarItem.warningBackground",
+};
+
+/**
+ * Let the user pick a different axels executable and save it as
+ * `axe.lsp.serverPath`
+ */
+async function switchServerBinary() {
+  const picked = await vscode.window.showOpenDialog({
+    canSelectFiles: true,
+    canSelectFolders: false,
+    canSelectMany: false,
+    openLabel: "Use as Axe Language Server",
+  });
+  if (!picked || picked.length === 0) {
+    return;
+  }
+
+  // The settings watcher restarts the server with the new binary.
+  await vscode.workspace
+    .getConfiguration("axe.lsp")
+    .update("serverPath", picked[0].fsPath, vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * Status bar item showing the language server state and version for Axe
+ * documents, with a menu of server actions
+ */
+function createStatusBar(context, outputChannel) {
+  const item = vscode.window.createStatusBarItem(
+    "axe.lsp.status",
+    vscode.StatusBarAlignment.Right,
+    100
+  );
+  item.name = "Axe Language Server";
+  item.command = "axe.lsp.showStatusMenu";
+
+  let current = { state: "Starting", version: undefined, detail: undefined };
+
+  function render() {
+    const { state, version, detail } = current;
+    item.text = `${stateIcons[state] || ""} Axe${version ? ` ${version}` : ""}${
+      state === "Running" ? "" : `: ${state}`
+    }`;
+    item.tooltip = [
+      `Axe Language Server: ${state}`,
+      version ? `Version: ${version}` : undefined,
+      detail,
+      "Click for server actions",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    item.backgroundColor = stateBackgrounds[state]
+      ? new vscode.ThemeColor(stateBackgrounds[state])
+      : undefined;
+  }
+
+  function updateVisibility() {
+    const editor = vscode.window.activeTextEditor;
+    if (editor && editor.document.languageId === "axe") {
+      item.show();
+    } else {
+      item.hide();
+    }
+  }
+
+  const showMenu = vscode.commands.registerCommand(
+    "axe.lsp.showStatusMenu",
+    async () => {
+      const actions = [
+        { label: "$(debug-restart) Restart", command: "axe.lsp.restart" },
+        { label: "$(cloud-download) Update", command: "axe.lsp.update" },
+        {
+          label: "$(versions) Select Version",
+          command: "axe.lsp.selectVersion",
+        },
+        {
+          label: "$(output) Show Logs",
+          run: () => outputChannel.show(true),
+        },
+        {
+          label: "$(inspect) Open LSP Inspector",
+          command: "axe.lsp.openInspector",
+        },
+        {
+          label: "$(settings-gear) Open Settings",
+          run: () =>
+            vscode.commands.executeCommand(
+              "workbench.action.openSettings",
+              "axe.lsp"
+            ),
+        },
+        {
+          label: "$(file-binary) Switch Server Binary",
+          run: switchServerBinary,
+        },
+      ];
+
+      const picked = await vscode.window.showQuickPick(actions, {
+        placeHolder: `Axe Language Server: ${current.state}`,
+      });
+      if (!picked) {
+        return;
+      }
+      if (picked.command) {
+        vscode.commands.executeCommand(picked.command);
+      } else {
+        picked.run();
+      }
+    }
+  );
+
+  context.subscriptions.push(
+    item,
+    showMenu,
+    vscode.window.onDidChangeActiveTextEditor(updateVisibility)
+  );
+  render();
+  updateVisibility();
+
+  return {
+    /**
+     * Show a new server state; `version` and `detail` are kept from the
+     * previous update when omitted
+     */
+    update(state, version, detail) {
+      current = {
+        state,
+        version: version === undefined ? current.version : version,
+        detail,
+      };
+      render();
+    },
+  };
+}
+
+module.exports = {
+  createStatusBar,
+};
@@ -0,0 +1,216 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { findInPath } = require("./toolchain");
+const { serverBinaryName } = require("./releases");
+
+const stdlibScheme = "axe-std";
+const modulePattern = /\.axec?$/;
+
+/**
+ * Places the stdlib is installed relative to the axels binary
+ */
+const serverRelativeLocations = [
+  "std",
+  path.join("..", "std"),
+  path.join("..", "lib", "axe", "std"),
+  path.join("..", "share", "axe", "std"),
+];
+
+/**
+ * Default system install locations
+ */
+function systemLocations() {
+  if (process.platform === "win32") {
+    return [
+      process.env.ProgramFiles &&
+        path.join(process.env.ProgramFiles, "Axe", "std"),
+      process.env.LOCALAPPDATA &&
+        path.join(process.env.LOCALAPPDATA, "axe", "std"),
+    ].filter(Boolean);
+  }
+  return ["/usr/local/lib/axe/std", "/usr/lib/axe/std", "/opt/axe/std"];
+}
+
+/**
+ * Whether `dir` exists and is a folder
+ */
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Resolve the stdlib for a workspace folder: the `axe.lsp.stdlibPath`
+ * setting, then AXE_HOME/std, then an install next to axels, then the
+ * default system paths. Returns `{ path, source }`, or undefined if no
+ * stdlib was found.
+ */
+function resolveStdlib(folder, serverPath) {
+  const configured = vscode.workspace
+    .getConfiguration("axe.lsp", folder && folder.uri)
+    .get("stdlibPath", "");
+  if (configured) {
+    return { path: configured, source: "axe.lsp.stdlibPath" };
+  }
+
+  if (process.env.AXE_HOME) {
+    const axeHomeStd = path.join(process.env.AXE_HOME, "std");
+    if (isDirectory(axeHomeStd)) {
+      return { path: axeHomeStd, source: "AXE_HOME" };
+    }
+  }
+
+  const serverBinary =
+    serverPath && path.isAbsolute(serverPath)
+      ? serverPath
+      : findInPath(serverPath || serverBinaryName());
+  if (serverBinary && fs.existsSync(serverBinary)) {
+    const serverDir = path.dirname(fs.realpathSync(serverBinary));
+    for (const location of serverRelativeLocations) {
+      const candidate = path.resolve(serverDir, location);
+      if (isDirectory(candidate)) {
+        return { path: candidate, source: `next to ${serverBinary}` };
+      }
+    }
+  }
+
+  const systemStd = systemLocations().find(isDirectory);
+  if (systemStd) {
+    return { path: systemStd, source: "system install" };
+  }
+  return undefined;
+}
+
+/**
+ * List the packages and modules in `dir`, named after their import path
+ */
+function listModules(dir, prefix) {
+  if (!dir || !isDirectory(dir)) {
+    return [];
+  }
+
+  const entries = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const packages = entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => ({
+      name: `${prefix}.${entry.name}`,
+      path: path.join(dir, entry.name),
+      isModule: false,
+    }));
+  const modules = entries
+    .filter((entry) => entry.isFile() && modulePattern.test(entry.name))
+    .map((entry) => ({
+      name: `${prefix}.${entry.name.replace(modulePattern, "")}`,
+      path: path.join(dir, entry.name),
+      isModule: true,
+    }));
+  return [...packages, ...modules];
+}
+
+/**
+ * Tree data for the modules in the resolved stdlib, e.g. `std.io`
+ */
+function createStdlibTree(resolve) {
+  const changeEmitter = new vscode.EventEmitter();
+  let root;
+
+  function currentRoot() {
+    const stdlib = resolve();
+    return stdlib ? stdlib.path : undefined;
+  }
+
+  return {
+    onDidChangeTreeData: changeEmitter.event,
+
+    /**
+     * Re-resolve the stdlib; `force` redraws even if it has not moved
+     */
+    refresh(force) {
+      const next = currentRoot();
+      if (force || next !== root) {
+        root = next;
+        changeEmitter.fire();
+      }
+    },
+
+    getTreeItem(node) {
+      const item = new vscode.TreeItem(
+        node.name,
+        node.isModule
+          ? vscode.TreeItemCollapsibleState.None
+          : vscode.TreeItemCollapsibleState.Collapsed
+      );
+      item.tooltip = node.path;
+      item.iconPath = new vscode.ThemeIcon(
+        node.isModule ? "symbol-module" : "symbol-namespace"
+      );
+      if (node.isModule) {
+        item.command = {
+          command: "axe.stdlib.open",
+          title: "Open Module",
+          arguments: [node.path],
+        };
+      }
+      return item;
+    },
+
+    getChildren(node) {
+      if (node) {
+        return listModules(node.path, node.name);
+      }
+      root = currentRoot();
+      return listModules(root, "std");
+    },
+
+    dispose() {
+      changeEmitter.dispose();
+    },
+  };
+}
+
+/**
+ * Register the "Axe Standard Library" view and the read-only documents it
+ * opens. `resolve` returns the stdlib to show for the current folder.
+ */
+function registerStdlibView(context, resolve) {
+  const tree = createStdlibTree(resolve);
+
+  context.subscriptions.push(
+    tree,
+    vscode.workspace.registerTextDocumentContentProvider(stdlibScheme, {
+      provideTextDocumentContent(uri) {
+        return fs.readFileSync(uri.fsPath, "utf8");
+      },
+    }),
+    vscode.window.registerTreeDataProvider("axeStdlib", tree),
+    vscode.commands.registerCommand("axe.stdlib.open", async (modulePath) => {
+      const uri = vscode.Uri.file(modulePath).with({ scheme: stdlibScheme });
+      const doc = await vscode.workspace.openTextDocument(uri);
+      await vscode.languages.setTextDocumentLanguage(doc, "axe");
+      await vscode.window.showTextDocument(doc, { preview: true });
+    }),
+    vscode.commands.registerCommand("axe.stdlib.refresh", () =>
+      tree.refresh(true)
+    ),
+    vscode.window.onDidChangeActiveTextEditor(() => tree.refresh()),
+    vscode.workspace.onDidChangeWorkspaceFolders(() => tree.refresh()),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("axe.lsp")) {
+        tree.refresh();
+      }
+    })
+  );
+  return tree;
+}
+
+module.exports = {
+  isDirectory,
+  resolveStdlib,
+  registerStdlibView,
+};
@@ -0,0 +1,270 @@
+/**
+ * Lightweight scanning of Axe source text, for features that have to work
+ * without the language server.
+ */
+
+// Matched against masked text, so quoted names are read back from the
+// original text by their offsets (the `d` flag)
+const testPattern =
+  /^[ \t]*test\b[ \t]*(?:"([^"\n]*)"|([A-Za-z_][A-Za-z0-9_]*))?[ \t]*\{/dgm;
+
+const rawBlockPattern = /\braw\s*\{/g;
+
+const platformBlockPattern = /\bplatform[ \t]+([A-Za-z_][A-Za-z0-9_]*)\s*\{/g;
+
+// The declarations the grammar highlights: `def`/`macro` names, and the
+// `model`, `enum`, `union`, `val` and `mut` keywords followed by a name.
+const declarationPattern =
+  /\b(?:pub[ \t]+)?(def|macro|model|enum|union|val|mut)[ \t]+([A-Za-z_][A-Za-z0-9_]*)/g;
+
+/**
+ * Find the offset of the brace that closes the one at `openOffset`, skipping
+ * strings and comments. Returns -1 if the block is never closed.
+ */
+function findMatchingBrace(text, openOffset) {
+  let depth = 0;
+  for (let i = openOffset; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === "/" && next === "/") {
+      const lineEnd = text.indexOf("\n", i);
+      if (lineEnd === -1) {
+        return -1;
+      }
+      i = lineEnd;
+    } else if (ch === "/" && next === "*") {
+      const commentEnd = text.indexOf("*/", i + 2);
+      if (commentEnd === -1) {
+        return -1;
+      }
+      i = commentEnd + 1;
+    } else if (ch === '"' || ch === "'" || ch === "`") {
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === "\\") {
+          i++;
+        }
+        i++;
+      }
+    } else if (ch === "{") {
+      depth++;
+    } else if (ch === "}") {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the `test` blocks in Axe source text. Each result has the test name
+ * (if it has one) and the offsets of the block, `end` being exclusive.
+ */
+function findTestBlocks(text) {
+  const tests = [];
+  for (const match of maskCommentsAndStrings(text).matchAll(testPattern)) {
+    const indent = match[0].length - match[0].trimStart().length;
+    const openBrace = match.index + match[0].length - 1;
+    const closeBrace = findMatchingBrace(text, openBrace);
+    const nameRange = match.indices[1] || match.indices[2];
+    tests.push({
+      name: nameRange ? text.slice(...nameRange) || undefined : undefined,
+      start: match.index + indent,
+      end: closeBrace === -1 ? text.length : closeBrace + 1,
+    });
+  }
+  return tests;
+}
+
+/**
+ * Blank out comments and string literals, keeping offsets and line breaks,
+ * so that keywords and braces inside them are not mistaken for code
+ */
+function maskCommentsAndStrings(text) {
+  const chars = text.split("");
+  const blank = (from, to) => {
+    for (let j = from; j < to && j < chars.length; j++) {
+      if (chars[j] !== "\n") {
+        chars[j] = " ";
+      }
+    }
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === "/" && next === "/") {
+      const lineEnd = text.indexOf("\n", i);
+      const end = lineEnd === -1 ? text.length : lineEnd;
+      blank(i, end);
+      i = end;
+    } else if (ch === "/" && next === "*") {
+      const commentEnd = text.indexOf("*/", i + 2);
+      const end = commentEnd === -1 ? text.length : commentEnd + 2;
+      blank(i, end);
+      i = end - 1;
+    } else if (ch === '"' || ch === "'" || ch === "`") {
+      let end = i + 1;
+      while (end < text.length && text[end] !== ch) {
+        if (text[end] === "\\") {
+          end++;
+        }
+        end++;
+      }
+      blank(i + 1, end);
+      i = end;
+    }
+  }
+  return chars.join("");
+}
+
+/**
+ * Find the `raw { }` blocks of embedded C in Axe source text. Each result
+ * has the offsets of the whole block and of the C code between its braces
+ * (`end` and `contentEnd` exclusive), and whether it is at the top level of
+ * the file rather than inside a function.
+ */
+function findRawBlocks(text) {
+  const masked = maskCommentsAndStrings(text);
+  const blocks = [];
+  let depth = 0;
+  let scanned = 0;
+
+  for (const match of masked.matchAll(rawBlockPattern)) {
+    if (match.index < scanned) {
+      continue; // inside the previous raw block
+    }
+    for (; scanned < match.index; scanned++) {
+      if (masked[scanned] === "{") {
+        depth++;
+      } else if (masked[scanned] === "}") {
+        depth = Math.max(depth - 1, 0);
+      }
+    }
+
+    // The C code is matched on the original text, whose strings and comments
+    // follow C rules rather than Axe ones.
+    const openBrace = match.index + match[0].length - 1;
+    const closeBrace = findMatchingBrace(text, openBrace);
+    const contentEnd = closeBrace === -1 ? text.length : closeBrace;
+    blocks.push({
+      start: match.index,
+      contentStart: openBrace + 1,
+      contentEnd,
+      end: closeBrace === -1 ? text.length : closeBrace + 1,
+      topLevel: depth === 0,
+    });
+    scanned = blocks[blocks.length - 1].end;
+  }
+  return blocks;
+}
+
+/**
+ * Find the declarations in Axe source text: `def`, `macro`, `model`, `enum`
+ * and `union` at any depth, and `val`/`mut` at the top level. Each result
+ * has the keyword, the name and its offsets, and the offsets of the whole
+ * declaration (`end` exclusive). Declarations inside another one's block are
+ * listed in its `children`.
+ */
+function findDeclarations(text) {
+  let masked = maskCommentsAndStrings(text);
+  for (const block of findRawBlocks(text)) {
+    masked =
+      masked.slice(0, block.contentStart) +
+      masked
+        .slice(block.contentStart, block.contentEnd)
+        .replace(/[^\n]/g, " ") +
+      masked.slice(block.contentEnd);
+  }
+  const all = [];
+  let depth = 0;
+  let scanned = 0;
+
+  for (const match of masked.matchAll(declarationPattern)) {
+    for (; scanned < match.index; scanned++) {
+      if (masked[scanned] === "{") {
+        depth++;
+      } else if (masked[scanned] === "}") {
+        depth = Math.max(depth - 1, 0);
+      }
+    }
+
+    const kind = match[1];
+    if ((kind === "val" || kind === "mut") && depth > 0) {
+      continue;
+    }
+
+    const nameStart = match.index + match[0].length - match[2].length;
+    const afterName = match.index + match[0].length;
+    let end;
+    if (kind === "val" || kind === "mut") {
+      const semicolon = masked.indexOf(";", afterName);
+      end = semicolon === -1 ? text.length : semicolon + 1;
+    } else {
+      const block = /[{;]/.exec(masked.slice(afterName));
+      if (block && block[0] === "{") {
+        const closeBrace = findMatchingBrace(masked, afterName + block.index);
+        end = closeBrace === -1 ? text.length : closeBrace + 1;
+      } else {
+        end = block ? afterName + block.index + 1 : text.length;
+      }
+    }
+
+    all.push({
+      kind,
+      name: match[2],
+      nameStart,
+      nameEnd: afterName,
+      start: match.index,
+      end,
+      children: [],
+    });
+  }
+
+  // Nest each declaration in the innermost one that encloses it
+  const roots = [];
+  const open = [];
+  for (const declaration of all) {
+    while (open.length > 0 && open[open.length - 1].end <= declaration.start) {
+      open.pop();
+    }
+    const parent = open[open.length - 1];
+    (parent ? parent.children : roots).push(declaration);
+    open.push(declaration);
+  }
+  return roots;
+}
+
+/**
+ * Find the `platform <name> { }` blocks in Axe source text. Each result has
+ * the platform name and the offsets of the whole block and of the code
+ * between its braces (`end` and `contentEnd` exclusive).
+ */
+function findPlatformBlocks(text) {
+  const masked = maskCommentsAndStrings(text);
+  const blocks = [];
+  for (const match of masked.matchAll(platformBlockPattern)) {
+    const openBrace = match.index + match[0].length - 1;
+    const closeBrace = findMatchingBrace(masked, openBrace);
+    blocks.push({
+      name: match[1],
+      start: match.index,
+      contentStart: openBrace + 1,
+      contentEnd: closeBrace === -1 ? text.length : closeBrace,
+      end: closeBrace === -1 ? text.length : closeBrace + 1,
+    });
+  }
+  return blocks;
+}
+
+module.exports = {
+  findMatchingBrace,
+  findTestBlocks,
+  findRawBlocks,
+  findDeclarations,
+  findPlatformBlocks,
+};
@@ -0,0 +1,168 @@
+const vscode = require("vscode");
+const { findPlatformBlocks } = require("./syntax");
+
+const targetStateKey = "axe.target";
+
+const targetPlatforms = ["linux", "macos", "windows"];
+const targetArchs = ["x86_64", "aarch64"];
+
+const hostPlatforms = { linux: "linux", darwin: "macos", win32: "windows" };
+const hostArchs = { x64: "x86_64", arm64: "aarch64" };
+
+// Which targets each `platform` block name is compiled for. Blocks with other
+// names are never dimmed.
+const platformConditions = {
+  linux: (target) => target.platform === "linux",
+  macos: (target) => target.platform === "macos",
+  windows: (target) => target.platform === "windows",
+  posix: (target) => target.platform !== "windows",
+};
+
+// The target selected for the workspace, undefined when it is the host
+let selected;
+
+/**
+ * The platform and architecture VS Code is running on
+ */
+function hostTarget() {
+  return {
+    platform: hostPlatforms[process.platform] || process.platform,
+    arch: hostArchs[process.arch] || process.arch,
+  };
+}
+
+/**
+ * Name of a target as the compiler and server take it, e.g. `linux-x86_64`
+ */
+function targetId(target) {
+  return `${target.platform}-${target.arch}`;
+}
+
+/**
+ * `--target` arguments for the selected target, or none when building for
+ * the host
+ */
+function targetArgs() {
+  return selected ? ["--target", targetId(selected)] : [];
+}
+
+/**
+ * Status bar picker for the platform and architecture that Axe code is
+ * analysed and built for, saved per workspace. Code in `platform` blocks for
+ * other platforms is dimmed. `onChange` is called with the new target after
+ * the user picks one.
+ */
+function createTargetSelector(context, onChange) {
+  selected = context.workspaceState.get(targetStateKey);
+
+  const item = vscode.window.createStatusBarItem(
+    "axe.target",
+    vscode.StatusBarAlignment.Right,
+    99
+  );
+  item.name = "Axe Target Platform";
+  item.command = "axe.selectTarget";
+
+  const inactive = vscode.window.createTextEditorDecorationType({
+    opacity: "0.5",
+  });
+
+  function render() {
+    const target = selected || hostTarget();
+    item.text = `$(circuit-board) ${targetId(target)}`;
+    item.tooltip = selected
+      ? `Axe target: ${targetId(target)}\nClick to change`
+      : `Axe target: ${targetId(target)} (host)\nClick to change`;
+  }
+
+  function decorate(editor) {
+    if (editor.document.languageId !== "axe") {
+      return;
+    }
+    const target = selected || hostTarget();
+    const document = editor.document;
+    const ranges = findPlatformBlocks(document.getText())
+      .filter(
+        (block) =>
+          platformConditions[block.name] &&
+          !platformConditions[block.name](target)
+      )
+      .map((block) => ({
+        range: new vscode.Range(
+          document.positionAt(block.contentStart),
+          document.positionAt(block.contentEnd)
+        ),
+        hoverMessage: `Inactive: not compiled for ${targetId(target)}`,
+      }));
+    editor.setDecorations(inactive, ranges);
+  }
+
+  function updateVisibility() {
+    const editor = vscode.window.activeTextEditor;
+    if (editor && editor.document.languageId === "axe") {
+      item.show();
+    } else {
+      item.hide();
+    }
+  }
+
+  async function selectTarget() {
+    const host = hostTarget();
+    const current = targetId(selected || host);
+    const items = [
+      {
+        label: targetId(host),
+        description: "host",
+        target: undefined,
+      },
+      ...targetPlatforms.flatMap((platform) =>
+        targetArchs
+          .map((arch) => ({ platform, arch }))
+          .filter((target) => targetId(target) !== targetId(host))
+          .map((target) => ({ label: targetId(target), target }))
+      ),
+    ].map((entry) =>
+      entry.label === current
+        ? { ...entry, label: `$(check) ${entry.label}` }
+        : entry
+    );
+
+    const picked = await vscode.window.showQuickPick(items, {
+      placeHolder: `Target platform for Axe code (currently ${current})`,
+    });
+    if (!picked || targetId(picked.target || host) === current) {
+      return;
+    }
+
+    selected = picked.target;
+    await context.workspaceState.update(targetStateKey, selected);
+    render();
+    vscode.window.visibleTextEditors.forEach(decorate);
+    onChange(selected || host);
+  }
+
+  render();
+  updateVisibility();
+  vscode.window.visibleTextEditors.forEach(decorate);
+
+  context.subscriptions.push(
+    item,
+    inactive,
+    vscode.commands.registerCommand("axe.selectTarget", selectTarget),
+    vscode.window.onDidChangeActiveTextEditor(updateVisibility),
+    vscode.window.onDidChangeVisibleTextEditors((editors) =>
+      editors.forEach(decorate)
+    ),
+    vscode.workspace.onDidChangeTextDocument((event) =>
+      vscode.window.visibleTextEditors
+        .filter((editor) => editor.document === event.document)
+        .forEach(decorate)
+    )
+  );
+}
+
+module.exports = {
+  createTargetSelector,
+  targetArgs,
+  targetId,
+};
@@ -0,0 +1,177 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const {
+  findCompiler,
+  compilerArgs,
+  reportMissingCompiler,
+} = require("./toolchain");
+const { targetArgs } = require("./target");
+
+const taskType = "axe";
+const taskCommands = ["build", "run", "test"];
+const entryFileCandidates = ["main.axe", path.join("src", "main.axe")];
+
+/**
+ * Find the entry file of a workspace folder, relative to the folder
+ */
+function findEntryFile(folder) {
+  return entryFileCandidates.find((candidate) =>
+    fs.existsSync(path.join(folder.uri.fsPath, candidate))
+  );
+}
+
+/**
+ * Create an executable task from an `axe` task definition
+ */
+function createTask(definition, scope, compiler, name) {
+  const file = definition.file || "${file}";
+  const folder = scope && scope.uri ? scope : undefined;
+  const label =
+    name ||
+    (definition.file
+      ? `${definition.command} ${definition.file}`
+      : `${definition.command} current file`);
+
+  // Builds follow the target picked in the status bar; programs that are run
+  // or tested are built for the host they run on
+  let target = [];
+  if (definition.target) {
+    target = ["--target", definition.target];
+  } else if (definition.command === "build") {
+    target = targetArgs();
+  }
+
+  const execution = new vscode.ProcessExecution(
+    compiler,
+    compilerArgs(definition.command, file, [
+      ...target,
+      ...(definition.args || []),
+    ]),
+    { cwd: folder ? folder.uri.fsPath : "${fileDirname}" }
+  );
+
+  const task = new vscode.Task(
+    definition,
+    scope || vscode.TaskScope.Workspace,
+    label,
+    taskType,
+    execution,
+    "$axe"
+  );
+  if (definition.command === "build") {
+    task.group = vscode.TaskGroup.Build;
+  } else if (definition.command === "test") {
+    task.group = vscode.TaskGroup.Test;
+  }
+  return task;
+}
+
+/**
+ * Task provider offering build, run and test tasks for the current file and
+ * for the entry file of each workspace folder
+ */
+function createTaskProvider(outputChannel) {
+  return {
+    provideTasks() {
+      // Task detection runs without the user asking for Axe tasks, so a
+      // missing compiler is only reported when a task is run
+      const compiler = findCompiler();
+      if (!compiler) {
+        outputChannel.appendLine("Axe compiler not found; no tasks provided.");
+        return [];
+      }
+
+      const tasks = taskCommands.map((command) =>
+        createTask({ type: taskType, command }, undefined, compiler)
+      );
+
+      for (const folder of vscode.workspace.workspaceFolders || []) {
+        const entryFile = findEntryFile(folder);
+        if (!entryFile) {
+          continue;
+        }
+        for (const command of taskCommands) {
+          tasks.push(
+            createTask(
+              { type: taskType, command, file: entryFile },
+              folder,
+              findCompiler(folder.uri) || compiler
+            )
+          );
+        }
+      }
+
+      return tasks;
+    },
+
+    resolveTask(task) {
+      const definition = task.definition;
+      if (!taskCommands.includes(definition.command)) {
+        outputChannel.appendLine(
+          `Ignoring Axe task with unknown command: ${definition.command}`
+        );
+        return undefined;
+      }
+
+      const scope = task.scope && task.scope.uri ? task.scope.uri : undefined;
+      const compiler = findCompiler(scope);
+      if (!compiler) {
+        reportMissingCompiler();
+        return undefined;
+      }
+
+      return createTask(definition, task.scope, compiler, task.name);
+    },
+  };
+}
+
+/**
+ * Run an `axe` task for `uri` straight away, in a terminal of its own that is
+ * reused when the same task runs again
+ */
+async function runTaskForFile(command, uri, extraArgs = [], name) {
+  const folder = vscode.workspace.getWorkspaceFolder(uri);
+  const compiler = findCompiler(uri);
+  if (!compiler) {
+    reportMissingCompiler();
+    return undefined;
+  }
+
+  const file = folder
+    ? path.relative(folder.uri.fsPath, uri.fsPath)
+    : uri.fsPath;
+  const task = createTask(
+    { type: taskType, command, file, args: extraArgs },
+    folder || vscode.TaskScope.Workspace,
+    compiler,
+    name || `${command} ${path.basename(uri.fsPath)}`
+  );
+  if (!folder) {
+    task.execution.options.cwd = path.dirname(uri.fsPath);
+  }
+  task.presentationOptions = {
+    reveal: vscode.TaskRevealKind.Always,
+    panel: vscode.TaskPanelKind.Dedicated,
+    clear: true,
+  };
+  return vscode.tasks.executeTask(task);
+}
+
+/**
+ * Register the `axe` task provider
+ */
+function registerTaskProvider(context, outputChannel) {
+  context.subscriptions.push(
+    vscode.tasks.registerTaskProvider(
+      taskType,
+      createTaskProvider(outputChannel)
+    )
+  );
+}
+
+module.exports = {
+  registerTaskProvider,
+  runTaskForFile,
+  findEntryFile,
+};
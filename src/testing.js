@@ -0,0 +1,266 @@
+const vscode = require("vscode");
+const path = require("path");
+const {
+  findCompiler,
+  compilerArgs,
+  runCompiler,
+  reportMissingCompiler,
+} = require("./toolchain");
+const { findTestBlocks } = require("./syntax");
+const { createPositionAt } = require("./positions");
+
+const failurePattern =
+  /^(.+?):(\d+)(?::(\d+))?:\s*(?:error:\s*)?(assert(?:ion)?\b.*)$/i;
+
+/**
+ * Parse failed `assert` lines for `file` out of the test runner's output
+ */
+function parseFailures(output, file, cwd) {
+  const failures = [];
+  for (const line of output.split(/\r?\n/)) {
+    const match = failurePattern.exec(line.trim());
+    if (!match || path.resolve(cwd, match[1]) !== path.resolve(file)) {
+      continue;
+    }
+    failures.push({
+      line: Number(match[2]) - 1,
+      column: match[3] ? Number(match[3]) - 1 : 0,
+      message: match[4],
+    });
+  }
+  return failures;
+}
+
+/**
+ * Create the Testing view controller for `test` blocks in Axe files
+ */
+function registerTestController(context, watcher, outputChannel) {
+  const controller = vscode.tests.createTestController("axeTests", "Axe Tests");
+  context.subscriptions.push(controller);
+  const testNames = new WeakMap();
+
+  function updateFromText(uri, text) {
+    const tests = findTestBlocks(text);
+    const id = uri.toString();
+    if (tests.length === 0) {
+      controller.items.delete(id);
+      return;
+    }
+
+    let fileItem = controller.items.get(id);
+    if (!fileItem) {
+      fileItem = controller.createTestItem(
+        id,
+        vscode.workspace.asRelativePath(uri),
+        uri
+      );
+      controller.items.add(fileItem);
+    }
+
+    const positionAt = createPositionAt(text);
+    const children = tests.map((test) => {
+      const start = positionAt(test.start);
+      const label = test.name || `test at line ${start.line + 1}`;
+      const item = controller.createTestItem(
+        `${id}#${test.name || start.line + 1}`,
+        label,
+        uri
+      );
+      item.range = new vscode.Range(start, positionAt(test.end));
+      testNames.set(item, test.name);
+      return item;
+    });
+    fileItem.children.replace(children);
+  }
+
+  async function updateFromFile(uri) {
+    const openDocument = vscode.workspace.textDocuments.find(
+      (doc) => doc.uri.toString() === uri.toString()
+    );
+    if (openDocument) {
+      updateFromText(uri, openDocument.getText());
+      return;
+    }
+    try {
+      const content = await vscode.workspace.fs.readFile(uri);
+      updateFromText(uri, Buffer.from(content).toString("utf8"));
+    } catch (err) {
+      controller.items.delete(uri.toString());
+    }
+  }
+
+  async function discoverAllTests() {
+    const files = await vscode.workspace.findFiles(
+      "**/*.{axe,axec}",
+      "**/node_modules/**"
+    );
+    await Promise.all(files.map(updateFromFile));
+  }
+
+  controller.resolveHandler = async (item) => {
+    if (!item) {
+      await discoverAllTests();
+    }
+  };
+
+  context.subscriptions.push(
+    watcher.onDidCreate(updateFromFile),
+    watcher.onDidChange(updateFromFile),
+    watcher.onDidDelete((uri) => controller.items.delete(uri.toString())),
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (event.document.languageId === "axe") {
+        updateFromText(event.document.uri, event.document.getText());
+      }
+    })
+  );
+
+  // Group the requested tests into compiler invocations. A named test asked
+  // for on its own runs alone; everything else runs its whole file once.
+  function planInvocations(request) {
+    const excluded = new Set((request.exclude || []).map((item) => item.id));
+    const requested = [];
+    if (request.include) {
+      requested.push(...request.include);
+    } else {
+      controller.items.forEach((item) => requested.push(item));
+    }
+
+    const invocations = [];
+    const wholeFiles = new Map();
+    for (const item of requested) {
+      if (excluded.has(item.id)) {
+        continue;
+      }
+      if (!item.parent) {
+        const tests = [];
+        item.children.forEach((child) => {
+          if (!excluded.has(child.id)) {
+            tests.push(child);
+          }
+        });
+        wholeFiles.set(item.id, { uri: item.uri, tests });
+      } else if (testNames.get(item)) {
+        invocations.push({
+          uri: item.uri,
+          tests: [item],
+          filter: testNames.get(item),
+        });
+      } else {
+        const entry = wholeFiles.get(item.parent.id) || {
+          uri: item.uri,
+          tests: [],
+        };
+        entry.tests.push(item);
+        wholeFiles.set(item.parent.id, entry);
+      }
+    }
+    return [...wholeFiles.values(), ...invocations];
+  }
+
+  async function runInvocation(run, invocation, token) {
+    const { uri, tests, filter } = invocation;
+    const compiler = findCompiler(uri);
+    if (!compiler) {
+      tests.forEach((test) =>
+        run.errored(test, new vscode.TestMessage("Axe compiler not found."))
+      );
+      reportMissingCompiler();
+      return;
+    }
+
+    const cwd = path.dirname(uri.fsPath);
+    const args = compilerArgs(
+      "test",
+      uri.fsPath,
+      filter ? ["--filter", filter] : []
+    );
+    tests.forEach((test) => run.started(test));
+    outputChannel.appendLine(`Running tests: ${compiler} ${args.join(" ")}`);
+
+    const abort = new AbortController();
+    const cancellation = token.onCancellationRequested(() => abort.abort());
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await runCompiler(compiler, args, { cwd, signal: abort.signal });
+    } catch (err) {
+      tests.forEach((test) =>
+        token.isCancellationRequested
+          ? run.skipped(test)
+          : run.errored(test, new vscode.TestMessage(String(err)))
+      );
+      return;
+    } finally {
+      cancellation.dispose();
+    }
+    const duration = Date.now() - startTime;
+
+    const output = `${result.stdout}${result.stderr}`;
+    run.appendOutput(output.replace(/\r?\n/g, "\r\n"));
+
+    const failures = parseFailures(output, uri.fsPath, cwd);
+    const messagesByTest = new Map(
+      tests.map((test) => [
+        test,
+        failures
+          .filter(
+            (failure) =>
+              failure.line >= test.range.start.line &&
+              failure.line <= test.range.end.line
+          )
+          .map((failure) => {
+            const message = new vscode.TestMessage(failure.message);
+            message.location = new vscode.Location(
+              uri,
+              new vscode.Position(failure.line, failure.column)
+            );
+            return message;
+          }),
+      ])
+    );
+    const attributed = [...messagesByTest.values()].some(
+      (messages) => messages.length > 0
+    );
+
+    for (const [test, messages] of messagesByTest) {
+      if (messages.length > 0) {
+        run.failed(test, messages, duration);
+      } else if (result.code === 0 || attributed) {
+        run.passed(test, duration);
+      } else {
+        run.errored(
+          test,
+          new vscode.TestMessage(
+            `Axe test run exited with code ${result.code}`
+          ),
+          duration
+        );
+      }
+    }
+  }
+
+  controller.createRunProfile(
+    "Run",
+    vscode.TestRunProfileKind.Run,
+    async (request, token) => {
+      const run = controller.createTestRun(request);
+      for (const invocation of planInvocations(request)) {
+        if (token.isCancellationRequested) {
+          invocation.tests.forEach((test) => run.skipped(test));
+          continue;
+        }
+        invocation.tests.forEach((test) => run.enqueued(test));
+        await runInvocation(run, invocation, token);
+      }
+      run.end();
+    },
+    true
+  );
+
+  return controller;
+}
+
+module.exports = {
+  parseFailures,
+  registerTestController,
+};
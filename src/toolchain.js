@@ -0,0 +1,149 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+
+/**
+ * Arguments passed to the compiler, after the source file, for each kind of
+ * invocation.
+ */
+const compilerModeArgs = {
+  build: [],
+  run: ["-r"],
+  test: ["--test"],
+  emitC: ["--emit-c"],
+  expandMacro: ["--expand-macro"],
+};
+
+/**
+ * Whether the current user may execute `file`
+ */
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Find the full path of an executable on PATH, without running a shell.
+ * Relative entries are skipped, as they would resolve against the current
+ * folder, which may be an untrusted workspace.
+ */
+function findInPath(command) {
+  const extensions =
+    process.platform === "win32"
+      ? ["", ...(process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";")]
+      : [""];
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir || !path.isAbsolute(dir)) {
+      continue;
+    }
+    for (const ext of extensions) {
+      const candidate = path.join(dir, command + ext);
+      try {
+        if (
+          fs.statSync(candidate).isFile() &&
+          (process.platform === "win32" || isExecutable(candidate))
+        ) {
+          return candidate;
+        }
+      } catch (e) {
+        // Not in this directory.
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Name of the Axe compiler binary for this platform
+ */
+function compilerBinaryName() {
+  return process.platform === "win32" ? "axe.exe" : "axe";
+}
+
+/**
+ * Locate the Axe compiler: the configured path first, then PATH
+ */
+function findCompiler(scope) {
+  const config = vscode.workspace.getConfiguration("axe.compiler", scope);
+  const compilerPath = config.get("path", "");
+  if (compilerPath) {
+    return compilerPath;
+  }
+
+  // The full path, so that Windows does not pick up an `axe.exe` in the
+  // folder the compiler is started from
+  return findInPath(compilerBinaryName());
+}
+
+/**
+ * Build the compiler argument list for a build, run or test of `file`
+ */
+function compilerArgs(mode, file, extraArgs = []) {
+  const modeArgs = compilerModeArgs[mode];
+  if (!modeArgs) {
+    throw new Error(`Unknown Axe compiler mode: ${mode}`);
+  }
+  return [file, ...modeArgs, ...extraArgs];
+}
+
+/**
+ * Tell the user the compiler could not be found and offer to fix the setting
+ */
+async function reportMissingCompiler() {
+  const choice = await vscode.window.showErrorMessage(
+    "Axe compiler not found. Install the toolchain, set `axe.compiler.path` or add `axe` to your PATH.",
+    "Install Toolchain",
+    "Open Settings"
+  );
+  if (choice === "Install Toolchain") {
+    vscode.commands.executeCommand("axe.installToolchain");
+  } else if (choice === "Open Settings") {
+    vscode.commands.executeCommand(
+      "workbench.action.openSettings",
+      "axe.compiler.path"
+    );
+  }
+}
+
+/**
+ * Run the compiler to completion and collect its output. `options.input` is
+ * written to its stdin.
+ */
+function runCompiler(compiler, args, options = {}) {
+  const { input, ...execOptions } = options;
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      compiler,
+      args,
+      { maxBuffer: 16 * 1024 * 1024, ...execOptions },
+      (err, stdout, stderr) => {
+        if (err && typeof err.code !== "number") {
+          reject(err);
+          return;
+        }
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      }
+    );
+    if (input !== undefined) {
+      child.stdin.on("error", () => {
+        // The process exited before reading all of its input; the exit
+        // callback reports why.
+      });
+      child.stdin.end(input);
+    }
+  });
+}
+
+module.exports = {
+  compilerBinaryName,
+  findInPath,
+  findCompiler,
+  compilerArgs,
+  runCompiler,
+  reportMissingCompiler,
+};
@@ -0,0 +1,346 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { getRelease, disposeRelease, extractArchive } = require("./releases");
+const { getNetworkSettings, downloadAsset } = require("./downloads");
+const {
+  compilerBinaryName,
+  findInPath,
+  findCompiler,
+  runCompiler,
+} = require("./toolchain");
+const { versionFolderName } = require("./serverVersions");
+
+const installedToolchainKey = "axe.toolchain.installed";
+const stdlibAssetName = "std.tar.gz";
+const versionTimeoutMs = 5000;
+
+/**
+ * Folder in global storage that holds one folder per installed toolchain
+ */
+function toolchainsDirectory(context) {
+  return path.join(context.globalStorageUri.fsPath, "toolchain");
+}
+
+/**
+ * Layout of the toolchain release tagged `version` in global storage: the
+ * compiler in `bin`, the standard library in `std`
+ */
+function toolchainLayout(context, version) {
+  const dir = path.join(
+    toolchainsDirectory(context),
+    versionFolderName(version)
+  );
+  return {
+    version,
+    dir,
+    binDir: path.join(dir, "bin"),
+    compiler: path.join(dir, "bin", compilerBinaryName()),
+    stdlib: path.join(dir, "std"),
+  };
+}
+
+/**
+ * The `major.minor.patch` in a version string such as `v0.4.1` or
+ * `axe 0.4.1 (abc123)`, or undefined if it has none
+ */
+function parseVersion(text) {
+  const match = /(\d+)\.(\d+)(?:\.(\d+))?/.exec(text || "");
+  return match
+    ? { major: match[1], minor: match[2], text: match[0] }
+    : undefined;
+}
+
+/**
+ * Whether `value` is empty or was set by an earlier install, so an install
+ * may replace it
+ */
+function isOursOrUnset(context, value) {
+  if (!value) {
+    return true;
+  }
+  const relative = path.relative(toolchainsDirectory(context), value);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Put the installed compiler on the PATH of integrated terminals and point
+ * AXE_HOME at the install. Terminals opened before this see it after a
+ * relaunch.
+ */
+function applyTerminalEnvironment(context, layout) {
+  const environment = context.environmentVariableCollection;
+  environment.clear();
+  if (!layout) {
+    return;
+  }
+  environment.description = `Adds the Axe toolchain ${layout.version} to PATH and sets AXE_HOME`;
+  environment.prepend("PATH", layout.binDir + path.delimiter);
+  environment.replace("AXE_HOME", layout.dir);
+}
+
+/**
+ * The toolchain recorded by the last install, if it is still on disk
+ */
+function installedToolchain(context) {
+  const version = context.globalState.get(installedToolchainKey);
+  if (!version) {
+    return undefined;
+  }
+  const layout = toolchainLayout(context, version);
+  return fs.existsSync(layout.compiler) ? layout : undefined;
+}
+
+/**
+ * Unpack the stdlib archive into `dest`. The archive holds either a `std`
+ * folder or the modules themselves.
+ */
+async function installStdlib(archive, dest) {
+  const extracted = await extractArchive(archive);
+  try {
+    const nested = path.join(extracted, "std");
+    const source = fs.existsSync(nested) ? nested : extracted;
+    fs.cpSync(source, dest, { recursive: true });
+  } finally {
+    fs.rmSync(extracted, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Register "Axe: Install Toolchain", which downloads the compiler and
+ * standard library into global storage and points the settings and
+ * integrated terminals at them. Returns `{ checkVersions(folder,
+ * serverVersion) }`, which warns when the compiler a folder uses does not
+ * match its server.
+ */
+function registerToolchainInstall(context, outputChannel) {
+  // Compiler and server version pairs already warned about this session
+  const warned = new Set();
+
+  /**
+   * Download the toolchain release tagged `version` (or the latest), or
+   * reuse it if it is already installed. Resolves to its layout.
+   */
+  async function download(version) {
+    const config = vscode.workspace.getConfiguration("axe.toolchain");
+    const source = config.get("releaseSource", "");
+    const network = getNetworkSettings();
+
+    outputChannel.appendLine(
+      `Fetching Axe toolchain release ${version} from ${source || "GitHub"}`
+    );
+    const release = await getRelease(version, source, network, "axe");
+    try {
+      return await install(release, network);
+    } finally {
+      disposeRelease(release);
+    }
+  }
+
+  /**
+   * Download the compiler and standard library of `release` into global
+   * storage, unless that release is already installed. Resolves to its
+   * layout.
+   */
+  async function install(release, network) {
+    outputChannel.appendLine(`Release: ${release.tag_name}`);
+
+    const layout = toolchainLayout(context, release.tag_name);
+    if (fs.existsSync(layout.compiler)) {
+      outputChannel.appendLine(
+        `Axe toolchain ${release.tag_name} is already installed: ${layout.dir}`
+      );
+      return layout;
+    }
+
+    const compilerAsset = release.assets.find(
+      (a) => a.name === compilerBinaryName()
+    );
+    const stdlibAsset = release.assets.find((a) => a.name === stdlibAssetName);
+    const missing = [
+      !compilerAsset && compilerBinaryName(),
+      !stdlibAsset && stdlibAssetName,
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      throw new Error(
+        `Release ${release.tag_name} has no ${missing.join(" or ")} for platform: ${process.platform}`
+      );
+    }
+
+    // Assemble the install beside its final place, so an interrupted
+    // install never looks complete
+    const partial = toolchainLayout(context, `${release.tag_name}.partial`);
+    fs.rmSync(partial.dir, { recursive: true, force: true });
+    fs.mkdirSync(partial.binDir, { recursive: true });
+    try {
+      outputChannel.appendLine(`Downloading ${compilerAsset.name}...`);
+      const compilerSha = await downloadAsset(
+        release,
+        compilerAsset,
+        partial.compiler,
+        network,
+        {
+          title: `Downloading Axe compiler ${release.tag_name}`,
+          executable: true,
+        }
+      );
+      outputChannel.appendLine(`✓ SHA-256 verified: ${compilerSha}`);
+
+      const archive = path.join(partial.dir, stdlibAssetName);
+      outputChannel.appendLine(`Downloading ${stdlibAsset.name}...`);
+      const stdlibSha = await downloadAsset(
+        release,
+        stdlibAsset,
+        archive,
+        network,
+        { title: `Downloading Axe standard library ${release.tag_name}` }
+      );
+      outputChannel.appendLine(`✓ SHA-256 verified: ${stdlibSha}`);
+      await installStdlib(archive, partial.stdlib);
+      fs.rmSync(archive, { force: true });
+
+      fs.rmSync(layout.dir, { recursive: true, force: true });
+      fs.renameSync(partial.dir, layout.dir);
+    } finally {
+      fs.rmSync(partial.dir, { recursive: true, force: true });
+    }
+    return layout;
+  }
+
+  /**
+   * Point `axe.lsp.stdlibPath` and, unless `axe` is already on PATH,
+   * `axe.compiler.path` at the install. User settings pointing somewhere
+   * else are left alone.
+   */
+  async function configure(layout) {
+    const settings = [
+      { section: "axe.lsp", key: "stdlibPath", value: layout.stdlib },
+    ];
+    if (!findInPath(compilerBinaryName())) {
+      settings.push({
+        section: "axe.compiler",
+        key: "path",
+        value: layout.compiler,
+      });
+    }
+
+    for (const { section, key, value } of settings) {
+      const config = vscode.workspace.getConfiguration(section);
+      const inspected = config.inspect(key);
+      const current = inspected && inspected.globalValue;
+      if (!isOursOrUnset(context, current)) {
+        outputChannel.appendLine(
+          `Left ${section}.${key} = ${current}; the installed toolchain is at ${value}`
+        );
+        continue;
+      }
+      // The settings watcher restarts the server for stdlibPath
+      await config.update(key, value, vscode.ConfigurationTarget.Global);
+      outputChannel.appendLine(`Set ${section}.${key} = ${value}`);
+      if (
+        inspected &&
+        (inspected.workspaceValue !== undefined ||
+          inspected.workspaceFolderValue !== undefined)
+      ) {
+        outputChannel.appendLine(
+          `Note: the workspace sets ${section}.${key}, which takes precedence`
+        );
+      }
+    }
+  }
+
+  async function installToolchain() {
+    const version = vscode.workspace
+      .getConfiguration("axe.toolchain")
+      .get("version", "latest");
+    outputChannel.appendLine(`\n=== Installing Axe toolchain ${version} ===`);
+    try {
+      const layout = await download(version);
+      await context.globalState.update(installedToolchainKey, layout.version);
+      applyTerminalEnvironment(context, layout);
+      await configure(layout);
+      outputChannel.appendLine(
+        `✓ Axe toolchain ${layout.version} installed at ${layout.dir}`
+      );
+      warned.clear();
+      vscode.window.showInformationMessage(
+        `Axe toolchain ${layout.version} installed. New integrated terminals have \`axe\` on PATH.`
+      );
+    } catch (err) {
+      outputChannel.appendLine(`✗ Toolchain install failed: ${err.message}`);
+      const choice = await vscode.window.showErrorMessage(
+        `Axe: failed to install the toolchain: ${err.message}`,
+        "Show Logs"
+      );
+      if (choice === "Show Logs") {
+        outputChannel.show(true);
+      }
+    }
+  }
+
+  applyTerminalEnvironment(context, installedToolchain(context));
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("axe.installToolchain", installToolchain)
+  );
+
+  return {
+    /**
+     * Compare the version of the compiler that `folder` uses with
+     * `serverVersion`, and warn once per pair if their major or minor
+     * versions differ
+     */
+    async checkVersions(folder, serverVersion) {
+      const server = parseVersion(serverVersion);
+      const compiler = findCompiler(folder && folder.uri);
+      if (!server || !compiler) {
+        return;
+      }
+
+      let output;
+      try {
+        const result = await runCompiler(compiler, ["--version"], {
+          timeout: versionTimeoutMs,
+        });
+        output = result.stdout || result.stderr;
+      } catch (err) {
+        outputChannel.appendLine(
+          `Could not read the compiler version from ${compiler}: ${err.message}`
+        );
+        return;
+      }
+      const compilerVersion = parseVersion(output);
+      if (!compilerVersion) {
+        return;
+      }
+
+      const pair = `${compilerVersion.text}/${server.text}`;
+      if (
+        (compilerVersion.major === server.major &&
+          compilerVersion.minor === server.minor) ||
+        warned.has(pair)
+      ) {
+        return;
+      }
+      warned.add(pair);
+
+      outputChannel.appendLine(
+        `✗ Compiler ${compiler} is ${compilerVersion.text} but axels is ${server.text}`
+      );
+      const choice = await vscode.window.showWarningMessage(
+        `Axe: the compiler (${compilerVersion.text}) and language server (${server.text}) versions do not match, so diagnostics may differ from builds.`,
+        "Install Toolchain",
+        "Select Server Version"
+      );
+      if (choice === "Install Toolchain") {
+        vscode.commands.executeCommand("axe.installToolchain");
+      } else if (choice === "Select Server Version") {
+        vscode.commands.executeCommand("axe.lsp.selectVersion");
+      }
+    },
+  };
+}
+
+module.exports = {
+  registerToolchainInstall,
+};
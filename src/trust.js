@@ -0,0 +1,97 @@
+const vscode = require("vscode");
+
+/**
+ * Settings that name programs the extension runs, their arguments, or the
+ * standard library the server loads. In Restricted Mode VS Code ignores
+ * their workspace values (they are `restrictedConfigurations` in
+ * package.json), so a cloned repository cannot run code before it is
+ * trusted.
+ */
+const restrictedSettings = [
+  "axe.lsp.serverPath",
+  "axe.lsp.stdlibPath",
+  "axe.compiler.path",
+  "axe.format.path",
+  "axe.format.args",
+  "axe.debug.adapterPath",
+];
+
+/**
+ * The restricted settings that the workspace or one of its folders sets
+ */
+function workspaceRestrictedSettings() {
+  const scopes = [
+    undefined,
+    ...(vscode.workspace.workspaceFolders || []).map((folder) => folder.uri),
+  ];
+  const found = [];
+  for (const setting of restrictedSettings) {
+    for (const scope of scopes) {
+      const inspected = vscode.workspace
+        .getConfiguration(undefined, scope)
+        .inspect(setting);
+      const value =
+        inspected &&
+        (inspected.workspaceFolderValue !== undefined
+          ? inspected.workspaceFolderValue
+          : inspected.workspaceValue);
+      if (value !== undefined) {
+        found.push({ setting, value });
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Tell the user when Restricted Mode is ignoring workspace settings, and
+ * call `onTrusted` with the names of those settings once the workspace is
+ * trusted and they apply
+ */
+function registerWorkspaceTrust(context, outputChannel, onTrusted) {
+  if (vscode.workspace.isTrusted) {
+    return;
+  }
+
+  const ignored = workspaceRestrictedSettings();
+  for (const { setting, value } of ignored) {
+    outputChannel.appendLine(
+      `Restricted Mode: ignoring workspace setting ${setting} = ${JSON.stringify(value)}`
+    );
+  }
+  if (ignored.length > 0) {
+    const names = ignored.map(({ setting }) => `\`${setting}\``).join(", ");
+    vscode.window
+      .showWarningMessage(
+        `Axe: this workspace sets ${names}, which ${ignored.length === 1 ? "is" : "are"} ignored until you trust it.`,
+        "Manage Workspace Trust",
+        "Show Logs"
+      )
+      .then((choice) => {
+        if (choice === "Manage Workspace Trust") {
+          vscode.commands.executeCommand("workbench.trust.manage");
+        } else if (choice === "Show Logs") {
+          outputChannel.show(true);
+        }
+      });
+  }
+
+  context.subscriptions.push(
+    vscode.workspace.onDidGrantWorkspaceTrust(() => {
+      const applied = workspaceRestrictedSettings().map(
+        ({ setting }) => setting
+      );
+      outputChannel.appendLine(
+        applied.length > 0
+          ? `Workspace trusted; now using ${applied.join(", ")}`
+          : "Workspace trusted."
+      );
+      onTrusted(applied);
+    })
+  );
+}
+
+module.exports = {
+  registerWorkspaceTrust,
+};
@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { sha256File, verifyChecksum } = require("../src/releases");
+
+const binary = Buffer.from("#!/bin/sh\necho axels\n");
+const sha256 = crypto.createHash("sha256").update(binary).digest("hex");
+
+let tmp;
+
+/**
+ * A release whose assets are files in the temporary folder, written with
+ * the given contents
+ */
+function releaseOf(files) {
+  return {
+    tag_name: "v0.2.0",
+    assets: Object.entries(files).map(([name, contents]) => {
+      const file = path.join(tmp, name);
+      fs.writeFileSync(file, contents);
+      return { name, browser_download_url: pathToFileURL(file).href };
+    }),
+  };
+}
+
+/**
+ * Write the binary to a new downloaded file and return its path
+ */
+function download(name) {
+  const file = path.join(tmp, `${name}.download`);
+  fs.writeFileSync(file, binary);
+  return file;
+}
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "axe-checksums-test-"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("hashes a file", async () => {
+  assert.strictEqual(await sha256File(download("hashed")), sha256);
+});
+
+test("prefers the asset's own .sha256 file", async () => {
+  const release = releaseOf({
+    "axels.sha256": `${sha256.toUpperCase()}\n`,
+    SHA256SUMS: `${"0".repeat(64)}  axels\n`,
+  });
+  const file = download("own");
+  assert.strictEqual(await verifyChecksum(release, "axels", file, {}), sha256);
+  assert.ok(fs.existsSync(file));
+});
+
+test("reads sha256sum lists in binary mode and with CRLF lines", async () => {
+  const release = releaseOf({
+    "checksums.txt": `${"0".repeat(64)}  axels.exe\r\n${sha256} *axels\r\n`,
+  });
+  assert.strictEqual(
+    await verifyChecksum(release, "axels", download("listed"), {}),
+    sha256
+  );
+});
+
+test("deletes the download when no checksum is published", async () => {
+  const release = releaseOf({ SHA256SUMS: `${sha256}  other\n` });
+  const file = download("unlisted");
+  await assert.rejects(
+    verifyChecksum(release, "axels", file, {}),
+    /Release v0\.2\.0 publishes no SHA-256 checksum for axels/
+  );
+  assert.strictEqual(fs.existsSync(file), false);
+});
+
+test("deletes the download when its checksum does not match", async () => {
+  const release = releaseOf({ "axels.sha256": `${"f".repeat(64)}  axels\n` });
+  const file = download("mismatched");
+  await assert.rejects(
+    verifyChecksum(release, "axels", file, {}),
+    /Checksum mismatch for axels/
+  );
+  assert.strictEqual(fs.existsSync(file), false);
+});
@@ -0,0 +1,89 @@
+const vscode = require("./vscodeStub");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { computeEdits } = require("../src/formatting");
+const { createPositionAt } = require("../src/positions");
+
+/**
+ * A document holding `text`, with the line endings `eol`
+ */
+function documentOf(text, eol = vscode.EndOfLine.LF) {
+  return { getText: () => text, eol, positionAt: createPositionAt(text) };
+}
+
+/**
+ * `text` with `edits` applied, as VS Code would apply them
+ */
+function applyEdits(text, edits) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  const offsetOf = (position) => lineStarts[position.line] + position.character;
+  return [...edits]
+    .sort((a, b) => offsetOf(b.range.start) - offsetOf(a.range.start))
+    .reduce(
+      (result, edit) =>
+        result.slice(0, offsetOf(edit.range.start)) +
+        edit.newText +
+        result.slice(offsetOf(edit.range.end)),
+      text
+    );
+}
+
+test("returns no edits for text that is already formatted", () => {
+  const text = "def main() {\n  println(1);\n}\n";
+  assert.deepStrictEqual(computeEdits(documentOf(text), text), []);
+});
+
+test("replaces only the lines that changed", () => {
+  const text = "def a() {\nval x=1;\n}\n\ndef b() {\nval y=2;\n}\n";
+  const formatted =
+    "def a() {\n  val x = 1;\n}\n\ndef b() {\n  val y = 2;\n}\n";
+
+  const edits = computeEdits(documentOf(text), formatted);
+  assert.deepStrictEqual(
+    edits.map((edit) => [edit.range.start.line, edit.range.end.line]),
+    [
+      [1, 2],
+      [5, 6],
+    ]
+  );
+  assert.strictEqual(applyEdits(text, edits), formatted);
+});
+
+test("inserts and removes whole lines", () => {
+  const text = "use std.io;\n\n\n\ndef main() {}\n";
+  const formatted = "use std.io;\n\ndef main() {}\n// end\n";
+
+  const edits = computeEdits(documentOf(text), formatted);
+  assert.strictEqual(applyEdits(text, edits), formatted);
+});
+
+test("handles a last line without a line break", () => {
+  const text = "def main() {\nprintln(1);\n}";
+  const formatted = "def main() {\n  println(1);\n}\n";
+
+  const edits = computeEdits(documentOf(text), formatted);
+  assert.strictEqual(applyEdits(text, edits), formatted);
+});
+
+test("keeps CRLF line endings of the document", () => {
+  const text = "def main() {\r\nprintln(1);\r\n}\r\n";
+  const formatted = "def main() {\n  println(1);\n}\n";
+
+  const edits = computeEdits(
+    documentOf(text, vscode.EndOfLine.CRLF),
+    formatted
+  );
+  assert.deepStrictEqual(
+    edits.map((edit) => edit.newText),
+    ["  println(1);\r\n"]
+  );
+  assert.strictEqual(
+    applyEdits(text, edits),
+    "def main() {\r\n  println(1);\r\n}\r\n"
+  );
+});
@@ -0,0 +1,61 @@
+require("./vscodeStub");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { withTimeout, runProbes, formatReport } = require("../src/healthCheck");
+
+const context = { extension: { packageJSON: { version: "1.2.3" } } };
+
+test("resolves to the value of a promise that settles in time", async () => {
+  assert.strictEqual(await withTimeout(Promise.resolve("ok"), 1000), "ok");
+});
+
+test("rejects once the timeout passes", async () => {
+  await assert.rejects(
+    withTimeout(new Promise(() => {}), 50),
+    /no response within 0\.05s/
+  );
+});
+
+test("skips document probes without a document or a running server", async () => {
+  const report = await runProbes(context, {
+    client: {},
+    state: "Stopped",
+    stdlib: { path: __dirname, source: "setting" },
+  });
+
+  const statuses = Object.fromEntries(
+    report.checks.map((check) => [check.id, check.status])
+  );
+  assert.deepStrictEqual(statuses, {
+    client: "fail",
+    serverVersion: "skip",
+    stdlib: "pass",
+    latency: "skip",
+    completion: "skip",
+    hover: "skip",
+    definition: "skip",
+    documentSymbols: "skip",
+    diagnostics: "skip",
+  });
+  assert.deepStrictEqual(report.summary, { pass: 1, fail: 1, skip: 7 });
+  assert.strictEqual(report.extensionVersion, "1.2.3");
+  assert.strictEqual(report.document, null);
+});
+
+test("reports a missing client and standard library as failures", async () => {
+  const report = await runProbes(context, {});
+  const [client, , stdlib] = report.checks;
+  assert.strictEqual(client.detail, "No language client serves this document");
+  assert.strictEqual(stdlib.detail, "No standard library found");
+});
+
+test("renders a report as a Markdown table with the JSON", async () => {
+  const report = await runProbes(context, { state: "Running" });
+  report.checks[0].detail = "a | b";
+
+  const markdown = formatReport(report);
+  assert.match(markdown, /^# Axe Health Check\n/);
+  assert.match(markdown, /- Result: 0 passed, 3 failed, 6 skipped/);
+  assert.match(markdown, /\| ✗ fail \| Language client \| a \\\| b \|/);
+  assert.ok(markdown.includes(JSON.stringify(report, null, 2)));
+});
@@ -0,0 +1,281 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  parseReleaseSource,
+  getRelease,
+  listReleases,
+  disposeRelease,
+  downloadFile,
+  verifyChecksum,
+} = require("../src/releases");
+
+const binary = Buffer.from("#!/bin/sh\necho axels\n");
+const sha256 = crypto.createHash("sha256").update(binary).digest("hex");
+
+let server;
+let base;
+let tmp;
+
+/**
+ * A stand-in for GitHub and for a mirror serving a manifest. Stalled
+ * responses are held open until the server closes.
+ */
+function handle(req, res) {
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, headers);
+    res.end(body);
+  };
+  const asset = (tag, name) => ({
+    name,
+    browser_download_url: `${base}/download/${tag}/${name}`,
+  });
+
+  switch (req.url) {
+    case "/api/v3/repos/axelang/axels/releases/latest":
+      return send(
+        200,
+        JSON.stringify({
+          tag_name: "v0.2.0",
+          assets: [asset("v0.2.0", "axels"), asset("v0.2.0", "SHA256SUMS")],
+        })
+      );
+    case "/api/v3/repos/axelang/axels/releases?per_page=30":
+      return send(
+        200,
+        JSON.stringify([
+          { tag_name: "v0.3.0-rc", draft: true, assets: [] },
+          { tag_name: "v0.2.0", assets: [] },
+          { tag_name: "v0.1.0", assets: [] },
+        ])
+      );
+    case "/mirror/manifest.json":
+      return send(
+        200,
+        JSON.stringify({
+          releases: [
+            { tag_name: "v0.2.0", assets: [{ name: "axels" }] },
+            {
+              tag_name: "v0.1.0",
+              assets: [{ name: "axels", browser_download_url: "v0.1.0/axels" }],
+            },
+          ],
+        })
+      );
+    case "/download/v0.2.0/axels":
+      return send(200, binary, { "Content-Length": binary.length });
+    case "/download/v0.2.0/SHA256SUMS":
+      return send(200, `${sha256}  axels\n${"0".repeat(64)}  other\n`);
+    case "/download/v0.2.0/bad.sha256":
+      return send(200, `${"f".repeat(64)}  bad\n`);
+    case "/redirect":
+      return send(302, "", { Location: "/download/v0.2.0/axels" });
+    case "/redirect-loop":
+      return send(302, "", { Location: "/redirect-loop" });
+    case "/stall":
+      res.writeHead(200, { "Content-Length": binary.length });
+      return res.write(binary.subarray(0, 4));
+    default:
+      return send(404, "not found");
+  }
+}
+
+before(async () => {
+  server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "axe-releases-test-"));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("tells the kinds of release source apart", () => {
+  assert.deepStrictEqual(parseReleaseSource(" "), {
+    kind: "github",
+    apiBase: "https://api.github.com",
+  });
+  assert.deepStrictEqual(
+    parseReleaseSource("https://git.example.com/api/v3/"),
+    { kind: "github", apiBase: "https://git.example.com/api/v3" }
+  );
+  assert.deepStrictEqual(
+    parseReleaseSource("https://mirror.example.com/axels/"),
+    {
+      kind: "manifest",
+      manifestUrl: "https://mirror.example.com/axels/manifest.json",
+    }
+  );
+  assert.deepStrictEqual(
+    parseReleaseSource("https://mirror.example.com/releases.json"),
+    {
+      kind: "manifest",
+      manifestUrl: "https://mirror.example.com/releases.json",
+    }
+  );
+  assert.deepStrictEqual(parseReleaseSource("~/mirror"), {
+    kind: "local",
+    path: path.join(os.homedir(), "mirror"),
+  });
+  assert.deepStrictEqual(parseReleaseSource("file:///srv/axels.tar.gz"), {
+    kind: "local",
+    path: path.resolve("/srv/axels.tar.gz"),
+  });
+});
+
+test("reads the latest release from a GitHub-compatible API", async () => {
+  const release = await getRelease("latest", `${base}/api/v3`, {});
+  assert.strictEqual(release.tag_name, "v0.2.0");
+  assert.deepStrictEqual(
+    release.assets.map((a) => a.name),
+    ["axels", "SHA256SUMS"]
+  );
+});
+
+test("reports a missing tag on a GitHub-compatible API", async () => {
+  await assert.rejects(
+    getRelease("v9.9.9", `${base}/api/v3`, {}),
+    /No axels release tagged v9\.9\.9/
+  );
+});
+
+test("lists releases from a GitHub-compatible API without drafts", async () => {
+  const releases = await listReleases(`${base}/api/v3`, {});
+  assert.deepStrictEqual(
+    releases.map((r) => r.tag_name),
+    ["v0.2.0", "v0.1.0"]
+  );
+});
+
+test("looks releases up in a manifest and resolves relative URLs", async () => {
+  const source = `${base}/mirror/`;
+  const latest = await getRelease("latest", source, {});
+  assert.strictEqual(latest.tag_name, "v0.2.0");
+  assert.strictEqual(
+    latest.assets[0].browser_download_url,
+    `${base}/mirror/axels`
+  );
+
+  const tagged = await getRelease("v0.1.0", source, {});
+  assert.strictEqual(
+    tagged.assets[0].browser_download_url,
+    `${base}/mirror/v0.1.0/axels`
+  );
+
+  await assert.rejects(
+    getRelease("v9.9.9", source, {}),
+    /No axels release tagged v9\.9\.9/
+  );
+});
+
+test("follows redirects when downloading", async () => {
+  const dest = path.join(tmp, "redirected");
+  const progress = [];
+  await downloadFile(
+    `${base}/redirect`,
+    dest,
+    {},
+    {
+      onProgress: (received, total) => progress.push([received, total]),
+    }
+  );
+  assert.deepStrictEqual(fs.readFileSync(dest), binary);
+  assert.deepStrictEqual(progress[progress.length - 1], [
+    binary.length,
+    binary.length,
+  ]);
+});
+
+test("gives up on a redirect loop", async () => {
+  await assert.rejects(
+    downloadFile(`${base}/redirect-loop`, path.join(tmp, "loop"), {}),
+    /Too many redirects/
+  );
+});
+
+test("verifies a download against the release's checksum list", async () => {
+  const release = await getRelease("latest", `${base}/api/v3`, {});
+  const dest = path.join(tmp, "axels");
+  await downloadFile(
+    release.assets[0].browser_download_url,
+    dest,
+    {},
+    {
+      verify: (file) => verifyChecksum(release, "axels", file, {}),
+    }
+  );
+  assert.deepStrictEqual(fs.readFileSync(dest), binary);
+});
+
+test("keeps the previous file when the checksum does not match", async () => {
+  const release = {
+    tag_name: "v0.2.0",
+    assets: [
+      {
+        name: "bad.sha256",
+        browser_download_url: `${base}/download/v0.2.0/bad.sha256`,
+      },
+    ],
+  };
+  const dest = path.join(tmp, "bad");
+  fs.writeFileSync(dest, "previous");
+  await assert.rejects(
+    downloadFile(
+      `${base}/download/v0.2.0/axels`,
+      dest,
+      {},
+      {
+        verify: (file) => verifyChecksum(release, "bad", file, {}),
+      }
+    ),
+    /Checksum mismatch for bad/
+  );
+  assert.strictEqual(fs.readFileSync(dest, "utf8"), "previous");
+  assert.deepStrictEqual(
+    fs.readdirSync(tmp).filter((n) => n.startsWith(".")),
+    []
+  );
+});
+
+test("times out a stalled download and keeps the previous file", async () => {
+  const dest = path.join(tmp, "stalled");
+  fs.writeFileSync(dest, "previous");
+  await assert.rejects(
+    downloadFile(`${base}/stall`, dest, { timeout: 200 }),
+    /No response from .* for 0\.2s/
+  );
+  assert.strictEqual(fs.readFileSync(dest, "utf8"), "previous");
+});
+
+test("reads a release archive from a temporary folder it can remove", async () => {
+  const folder = path.join(tmp, "release");
+  fs.mkdirSync(folder);
+  fs.writeFileSync(path.join(folder, "VERSION"), "v0.3.0\n");
+  fs.writeFileSync(path.join(folder, "axels"), binary);
+  const archive = path.join(tmp, "release.tar.gz");
+  execFileSync("tar", ["-czf", archive, "-C", folder, "."]);
+
+  const release = await getRelease("latest", archive, {});
+  assert.strictEqual(release.tag_name, "v0.3.0");
+  assert.deepStrictEqual(
+    fs.readFileSync(
+      new URL(
+        release.assets.find((a) => a.name === "axels").browser_download_url
+      )
+    ),
+    binary
+  );
+  disposeRelease(release);
+  assert.strictEqual(fs.existsSync(release.extractedPath), false);
+
+  const releases = await listReleases(archive, {});
+  assert.deepStrictEqual(releases, [{ tag_name: "v0.3.0" }]);
+});
@@ -0,0 +1,147 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  findMatchingBrace,
+  findTestBlocks,
+  findRawBlocks,
+  findDeclarations,
+  findPlatformBlocks,
+} = require("../src/syntax");
+
+/**
+ * The text of `source` between the offsets of a scanner result
+ */
+function slice(source, { start, end }) {
+  return source.slice(start, end);
+}
+
+test("finds named, quoted and unnamed test blocks", () => {
+  const source = [
+    'test "adds numbers" {',
+    "  assert 1 + 1 == 2;",
+    "}",
+    "  test parses {",
+    "}",
+    "test {",
+    "}",
+    "",
+  ].join("\n");
+
+  const tests = findTestBlocks(source);
+  assert.deepStrictEqual(
+    tests.map((t) => t.name),
+    ["adds numbers", "parses", undefined]
+  );
+  assert.strictEqual(
+    slice(source, tests[0]),
+    'test "adds numbers" {\n  assert 1 + 1 == 2;\n}'
+  );
+  assert.strictEqual(slice(source, tests[1]), "test parses {\n}");
+});
+
+test("ignores test blocks in comments and braces in strings", () => {
+  const source = [
+    "// test commented {",
+    "/*",
+    "test hidden {",
+    "}",
+    "*/",
+    "test strings {",
+    '  val s = "test in a string { }";',
+    '  val t = "}";',
+    "}",
+    "",
+  ].join("\n");
+
+  const tests = findTestBlocks(source);
+  assert.deepStrictEqual(
+    tests.map((t) => t.name),
+    ["strings"]
+  );
+  assert.ok(slice(source, tests[0]).endsWith('val t = "}";\n}'));
+});
+
+test("runs an unclosed test block to the end of the text", () => {
+  const source = "test open {\n  assert true;\n";
+  assert.deepStrictEqual(findTestBlocks(source), [
+    { name: "open", start: 0, end: source.length },
+  ]);
+  assert.strictEqual(findMatchingBrace(source, source.indexOf("{")), -1);
+});
+
+test("finds raw blocks and whether they are at the top level", () => {
+  const source = 'raw {\n  int x = 0;\n}\ndef f() {\n  raw { puts("}"); }\n}\n';
+
+  const blocks = findRawBlocks(source);
+  assert.deepStrictEqual(
+    blocks.map((b) => b.topLevel),
+    [true, false]
+  );
+  assert.strictEqual(
+    source.slice(blocks[0].contentStart, blocks[0].contentEnd),
+    "\n  int x = 0;\n"
+  );
+  assert.strictEqual(slice(source, blocks[1]), 'raw { puts("}"); }');
+});
+
+test("nests declarations and keeps only top-level val and mut", () => {
+  const source = [
+    "pub def main() {",
+    "  val local = 1;",
+    "  def inner() { }",
+    "}",
+    "model Point { x: i32 }",
+    "mut count = 0;",
+    "",
+  ].join("\n");
+
+  const declarations = findDeclarations(source);
+  assert.deepStrictEqual(
+    declarations.map((d) => [d.kind, d.name]),
+    [
+      ["def", "main"],
+      ["model", "Point"],
+      ["mut", "count"],
+    ]
+  );
+  assert.deepStrictEqual(
+    declarations[0].children.map((d) => d.name),
+    ["inner"]
+  );
+  assert.strictEqual(
+    source.slice(declarations[0].nameStart, declarations[0].nameEnd),
+    "main"
+  );
+  assert.strictEqual(slice(source, declarations[2]), "mut count = 0;");
+});
+
+test("skips declarations in comments, strings and raw C", () => {
+  const source = [
+    "// def commented() {}",
+    'val s = "def quoted() {}";',
+    "raw {",
+    "  void def_like(void); int val = 0;",
+    "}",
+    "enum Color { Red }",
+    "",
+  ].join("\n");
+
+  assert.deepStrictEqual(
+    findDeclarations(source).map((d) => d.name),
+    ["s", "Color"]
+  );
+});
+
+test("finds platform blocks outside comments", () => {
+  const source = "platform linux {\n  def f() {}\n}\n// platform macos { }\n";
+
+  const blocks = findPlatformBlocks(source);
+  assert.deepStrictEqual(
+    blocks.map((b) => b.name),
+    ["linux"]
+  );
+  assert.strictEqual(
+    source.slice(blocks[0].contentStart, blocks[0].contentEnd),
+    "\n  def f() {}\n"
+  );
+});
@@ -0,0 +1,32 @@
+require("./vscodeStub");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { parseFailures } = require("../src/testing");
+
+const cwd = path.resolve("/work/app");
+const file = path.join(cwd, "src", "math.axe");
+
+test("reads failed asserts for the file from the runner's output", () => {
+  const output = [
+    "running 2 tests",
+    "src/math.axe:12:5: error: assertion failed: 1 + 1 == 3",
+    `${file}:20: assert sum(xs) == 6`,
+    "1 failed",
+  ].join("\n");
+
+  assert.deepStrictEqual(parseFailures(output, file, cwd), [
+    { line: 11, column: 4, message: "assertion failed: 1 + 1 == 3" },
+    { line: 19, column: 0, message: "assert sum(xs) == 6" },
+  ]);
+});
+
+test("skips failures in other files and lines that are not asserts", () => {
+  const output = [
+    "src/other.axe:3:1: assertion failed: false",
+    "src/math.axe:4:1: error: undefined name `x`",
+    "warning: unused value",
+  ].join("\r\n");
+
+  assert.deepStrictEqual(parseFailures(output, file, cwd), []);
+});
@@ -0,0 +1,46 @@
+const Module = require("module");
+
+/**
+ * A stand-in for the parts of the `vscode` API that the modules under test
+ * use outside of VS Code. Requiring this file makes `require("vscode")`
+ * return it.
+ */
+
+class Position {
+  constructor(line, character) {
+    this.line = line;
+    this.character = character;
+  }
+}
+
+class Range {
+  constructor(start, end) {
+    this.start = start;
+    this.end = end;
+  }
+}
+
+class TextEdit {
+  constructor(range, newText) {
+    this.range = range;
+    this.newText = newText;
+  }
+}
+
+const vscode = {
+  version: "0.0.0-test",
+  Position,
+  Range,
+  TextEdit,
+  EndOfLine: { LF: 1, CRLF: 2 },
+  workspace: {
+    getConfiguration: () => ({ get: (key, defaultValue) => defaultValue }),
+  },
+};
+
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  return request === "vscode" ? vscode : load.call(this, request, ...rest);
+};
+
+module.exports = vscode;